@@ -1,39 +1,59 @@
 // Background service worker for API calls
-// This file provides Chrome extension integration, importing core logic from src/throughline-analyzer.js
+// This file provides Chrome extension integration, loading core logic from src/throughline-analyzer.js
 
 console.log('=== BACKGROUND SERVICE WORKER LOADED ===');
 
-import { ThroughlineAnalyzer } from './src/throughline-analyzer.js';
+// The src/ modules are CommonJS that attach their exports to `window` outside Node; a service worker only has
+// `self`. browser-platform.js stands in for the Node built-ins the analyzer uses (fs cache, crypto, events).
+self.window = self;
+importScripts('src/llm-provider.js', 'src/seed-input.js', 'src/browser-platform.js', 'src/throughline-analyzer.js', 'src/run-history.js', 'src/run-trace.js');
+
+// Live activity: log lines, analyzer events, progress and the run's outcome are pushed to every open popup
+// over an 'activity' port. A popup that connects mid-run first gets the backlog since the run started.
+const ACTIVITY_PORT = 'activity';
+const ACTIVITY_BACKLOG_MAX = 2000;
+const activityPorts = new Set();
+let activityBacklog = [];
+
+function broadcastActivity(message) {
+  activityBacklog.push(message);
+  if (activityBacklog.length > ACTIVITY_BACKLOG_MAX) activityBacklog.shift();
+  for (const port of activityPorts) {
+    try {
+      port.postMessage(message);
+    } catch (e) {
+      activityPorts.delete(port);
+    }
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ACTIVITY_PORT) return;
+  activityPorts.add(port);
+  port.onDisconnect.addListener(() => activityPorts.delete(port));
+  port.postMessage({ type: 'backlog', messages: activityBacklog });
+});
 
 // Debug logging system for background
 const DEBUG_BG = {
   log: function(...args) {
     console.log(...args);
-    this.sendToStorage('LOG', args);
+    this.broadcast('LOG', args);
   },
   error: function(...args) {
     console.error(...args);
-    this.sendToStorage('ERROR', args);
+    this.broadcast('ERROR', args);
   },
   warn: function(...args) {
     console.warn(...args);
-    this.sendToStorage('WARN', args);
+    this.broadcast('WARN', args);
   },
-  sendToStorage: async function(level, args) {
+  broadcast: function(level, args) {
     const message = args.map(arg => 
       typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
     ).join(' ');
     
-    const timestamp = new Date().toLocaleTimeString();
-    
-    const result = await chrome.storage.local.get(['debugLogs']);
-    const logs = result.debugLogs || [];
-    logs.push({ level, message, time: timestamp });
-    
-    // Keep only last 100 logs
-    if (logs.length > 100) logs.shift();
-    
-    await chrome.storage.local.set({ debugLogs: logs });
+    broadcastActivity({ type: 'log', level, message, time: new Date().toLocaleTimeString() });
   }
 };
 
@@ -47,18 +67,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     handleOpenRouter(request.data, sendResponse);
     return true;
   } else if (request.action === 'startAnalysis') {
-    handleStartAnalysis(request.papers);
+    handleStartAnalysis(request.papers, request.criteria);
     sendResponse({ success: true });
     return true;
-  } else if (request.action === 'getAnalysisStatus') {
-    chrome.storage.local.get(['analysisProgress', 'analysisResults', 'analysisError'], (result) => {
-      sendResponse({
-        progress: result.analysisProgress,
-        results: result.analysisResults,
-        error: result.analysisError
-      });
-    });
-    return true;
   } else if (request.action === 'stopAnalysis') {
     DEBUG_BG.log('Stop analysis requested');
     chrome.storage.local.set({ analysisShouldStop: true });
@@ -71,8 +82,8 @@ async function handleSemanticScholar(data, sendResponse) {
   try {
     // Use rate limiting
     const now = Date.now();
-    const result = await chrome.storage.local.get(['lastSemanticScholarCall']);
-    const lastCall = result.lastSemanticScholarCall || 0;
+    const stored = await chrome.storage.local.get(['lastSemanticScholarCall']);
+    const lastCall = stored.lastSemanticScholarCall || 0;
     const delay = 1000; // 1 req/sec for unauthorized
     
     if (now - lastCall < delay) {
@@ -106,42 +117,36 @@ async function handleSemanticScholar(data, sendResponse) {
   }
 }
 
+// Provider settings live in chrome.storage; base URL is optional (defaults to OpenRouter)
+async function getLLMProvider() {
+  const settings = await chrome.storage.local.get(['openRouterApiKey', 'llmBaseUrl', 'agentModel', 'readerModel', 'complexityModel']);
+  if (!settings.openRouterApiKey && !settings.llmBaseUrl) {
+    throw new Error('OpenRouter API key not set. Right-click extension icon → Options to configure.');
+  }
+  return new LLMProvider({
+    baseUrl: settings.llmBaseUrl,
+    apiKey: settings.openRouterApiKey,
+    agentModel: settings.agentModel,
+    readerModel: settings.readerModel,
+    complexityModel: settings.complexityModel
+  });
+}
+
 async function handleOpenRouter(data, sendResponse) {
   try {
-    // Get API key from storage
-    const result = await chrome.storage.local.get(['openRouterApiKey']);
-    const apiKey = result.openRouterApiKey;
+    const provider = await getLLMProvider();
 
-    if (!apiKey) {
-      throw new Error('OpenRouter API key not set. Right-click extension icon → Options to configure.');
-    }
-
-    const requestBody = {
-      model: 'deepseek/deepseek-v4-flash',
+    const response = await provider.chatCompletion('reader', {
       messages: data.messages,
       temperature: 0.3
-    };
-    
-    const requestHeaders = {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    };
-    
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: requestHeaders,
-      body: JSON.stringify(requestBody)
     });
 
     if (!response.ok) {
-      const errorText = await response.text();
-      DEBUG_BG.error('OpenRouter API error:', response.status, errorText);
-      throw new Error(`OpenRouter error: ${response.status} - ${errorText}`);
+      DEBUG_BG.error('LLM API error:', response.status, response.text);
+      throw new Error(`LLM error: ${response.status} - ${response.text}`);
     }
-
-    const result = await response.json();
     
-    const responseObj = { success: true, data: result };
+    const responseObj = { success: true, data: response.data };
     if (sendResponse) sendResponse(responseObj);
     return responseObj;
   } catch (error) {
@@ -152,9 +157,15 @@ async function handleOpenRouter(data, sendResponse) {
   }
 }
 
-async function handleStartAnalysis(papers) {
+async function handleStartAnalysis(papers, criteria) {
+  // The backlog covers this run only; 'start' tells popups that what follows belongs to it
+  activityBacklog = [];
+  broadcastActivity({ type: 'start' });
+
   DEBUG_BG.log('=== Starting analysis ===');
   DEBUG_BG.log('Papers to analyze:', papers.length);
+  DEBUG_BG.log('Criteria:', criteria || '(none)');
+  const startedAt = new Date().toISOString();
   
   // Keep service worker alive during analysis
   const keepAliveInterval = setInterval(() => {
@@ -165,6 +176,8 @@ async function handleStartAnalysis(papers) {
   await chrome.storage.local.set({ 
     analysisProgress: { message: 'Starting...', detail: 'Initializing analyzer', percent: 0 },
     analysisResults: null,
+    analysisPrimer: null,
+    analysisCriteria: criteria || '',
     analysisError: null,
     analysisShouldStop: false
   });
@@ -172,21 +185,14 @@ async function handleStartAnalysis(papers) {
   let analyzer;
   
   try {
-    // Get API key from storage
-    const result = await chrome.storage.local.get(['openRouterApiKey']);
-    const apiKey = result.openRouterApiKey;
-    
-    if (!apiKey) {
-      throw new Error('OpenRouter API key not configured');
-    }
+    const llmProvider = await getLLMProvider();
     
     DEBUG_BG.log('Creating ThroughlineAnalyzer...');
     
-    // Create analyzer with Chrome-specific configuration
+    // Create analyzer with Chrome-specific configuration; its caches live in IndexedDB
     analyzer = new ThroughlineAnalyzer({
-      openRouterApiKey: apiKey,
-      maxThreads: 10,
-      maxPapersPerThread: 20,
+      llmProvider,
+      clusteringCriteria: criteria || undefined,
       logger: DEBUG_BG
     });
     
@@ -203,47 +209,90 @@ async function handleStartAnalysis(papers) {
     };
     
     DEBUG_BG.log('Analyzer created successfully');
+
+    // The feed gets the run trace's compact records (src/run-trace.js); tool calls also carry the
+    // one-line argument summary the CLI log prints
+    analyzer.on('event', (event) => {
+      for (const record of traceRecords(event)) {
+        broadcastActivity({ type: 'event', event: record.args ? { ...record, argSummary: analyzer.toolArgSummary(record.args) } : record });
+      }
+    });
     
-    // Custom progress callback that saves to storage
+    // Progress goes to open popups, and to storage for a popup opened later
     const progressCallback = (msg, detail, percent, threads) => {
-      DEBUG_BG.log('Progress:', msg, '|', detail, '|', percent + '%');
-      chrome.storage.local.set({
-        analysisProgress: { 
-          message: msg, 
-          detail: detail || '', 
-          percent: percent || 0,
-          threads: threads || []
-        }
-      });
+      const progress = { 
+        message: msg, 
+        detail: detail || '', 
+        percent: percent || 0,
+        threads: threads || []
+      };
+      broadcastActivity({ type: 'progress', progress });
+      chrome.storage.local.set({ analysisProgress: progress });
     };
 
-    DEBUG_BG.log('Starting analyzer.traceResearchLineages()...');
-    const threads = await analyzer.traceResearchLineages(papers, progressCallback);
+    DEBUG_BG.log('Starting analyzer.exploreUserInterest()...');
+    const { threads, primer, stats } = await analyzer.exploreUserInterest(papers, progressCallback);
     DEBUG_BG.log('Analysis complete! Threads:', threads.length);
     DEBUG_BG.log('Debug tree nodes:', analyzer.debugTree.length);
 
+    const entry = createHistoryEntry({ papers, criteria, threads, primer, stats, debugTree: analyzer.debugTree, startedAt });
+    await saveRunToHistory(entry);
+
     // Save results
     await chrome.storage.local.set({
       analysisResults: threads,
+      analysisPrimer: primer,
       analysisDebugTree: analyzer.debugTree,
+      analysisRunId: entry.id,
       analysisProgress: { message: 'Complete!', detail: `Found ${threads.length} threads`, percent: 100 }
     });
+    broadcastActivity({ type: 'complete', results: threads });
   } catch (error) {
     DEBUG_BG.error('=== Analysis failed ===', error.message);
     DEBUG_BG.error('Stack:', error.stack);
     
+    // Keep what the run had reached in the history, marked stopped or failed
+    if (analyzer) {
+      const status = analyzer.stopped ? 'stopped' : 'failed';
+      const entry = createHistoryEntry({
+        papers, criteria, threads: analyzer.threads, primer: analyzer.primer, stats: analyzer.runStats(),
+        debugTree: analyzer.debugTree, startedAt, status, error: status === 'failed' ? error.message : null
+      });
+      await saveRunToHistory(entry);
+    }
+
     // Save debug tree even on failure
     await chrome.storage.local.set({
       analysisError: error.message,
       analysisDebugTree: analyzer?.debugTree || [],
       analysisProgress: { message: 'Failed', detail: error.message, percent: 0 }
     });
+    broadcastActivity({ type: 'failed', error: error.message });
   } finally {
     clearInterval(keepAliveInterval);
     DEBUG_BG.log('Analysis handler completed');
   }
 }
 
+// Add a finished run to the history, pruning old runs to stay within HISTORY_LIMITS. What was pruned is
+// recorded in historyPruned so the popup can tell the user instead of losing runs silently.
+async function saveRunToHistory(entry) {
+  const stored = await chrome.storage.local.get([HISTORY_KEY, 'historyPruned']);
+  const { entries, pruned } = pruneHistory([entry, ...(stored[HISTORY_KEY] || [])]);
+  const prunedAt = new Date().toISOString();
+  pruned.forEach(p => DEBUG_BG.warn(`History: pruned ${p.dropped === 'run' ? 'run' : 'debug tree of'} "${p.name}" (${p.createdAt})`));
+  try {
+    await chrome.storage.local.set({
+      [HISTORY_KEY]: entries,
+      historyPruned: [...(stored.historyPruned || []), ...pruned.map(p => ({ ...p, prunedAt }))].slice(-50)
+    });
+    DEBUG_BG.log('Saved run to history:', entry.name, `(${entries.length} runs)`);
+  } catch (error) {
+    // Storage full even after pruning (pinned runs, or a large papers list): keep the run as the current result only
+    DEBUG_BG.error('Could not save run to history:', error.message);
+  }
+}
+
 DEBUG_BG.log('ThroughlineAnalyzer module loaded');
 
 // Global error handler to catch issues
@@ -0,0 +1,12 @@
+#!/bin/sh
+# Replays the recorded fixture run offline and checks that throughline-results.json comes out byte-identical.
+# After a change that alters the agent's requests or its results, re-record (see README "Record / replay")
+# and commit the new cassette and results together.
+set -e
+fixtures=$(cd "$(dirname "$0")" && pwd)
+out=$(mktemp -d)
+trap 'rm -rf "$out"' EXIT
+cd "$out"
+node "$fixtures/../../main.js" "$fixtures/papers.json" --replay "$fixtures/run.cassette.json" > /dev/null
+diff "$fixtures/throughline-results.json" throughline-results.json
+echo "Replay matches fixtures/replay/throughline-results.json"
@@ -6,10 +6,21 @@
  * This is the simple JS main entry point that works without the browser extension.
  * 
  * Usage:
- *   node main.js <papers-json-file>
- *   node main.js  # uses example papers
+ *   node main.js <papers-json-file> [options]  # see --help for all options
+ *   node main.js  # no seed papers — starts from criteria alone
+ *   node main.js papers.json --criteria-file my-question.txt --out-dir runs/nav
+ *   node main.js refs.bib  # seeds from BibTeX / RIS / a .txt of DOIs, arXiv IDs or S2 URLs
+ *   node main.js --seed 10.1109/ICRA48891.2023.10161227 --seed arXiv:2306.14846
+ *   node main.js --resume throughline-checkpoint.json  # continue an interrupted run
+ *   node main.js papers.json --record run.cassette.json  # capture every LLM + SS exchange
+ *   node main.js papers.json --replay run.cassette.json  # offline, deterministic re-run of a recording
+ *   node main.js --evaluate expected.json [results.json] [--label "Run 18"]  # score a finished run
+ *   node main.js --report [results.json]  # (re)build the markdown + HTML report from a saved run
+ *   node main.js --export [results.json] [--include-borderline]  # BibTeX / RIS / CSL-JSON of the tracks
+ *   node main.js --graph [results.json] [--lineage-lookups]  # lineage graph as DOT / Mermaid / GraphML
  *
- * Default research criteria is hardcoded below to avoid silent misconfiguration.
+ * Options can also be set in throughline.config.json (CLI flags win).
+ * Without --criteria / --criteria-file / a config file, the default research criteria below is used.
  * You can still override via analyzePapers(..., { clusteringCriteria: "..." }).
  * 
  * Or import as a module:
@@ -18,11 +29,109 @@
  */
 
 const { ThroughlineAnalyzer } = require('./src/throughline-analyzer.js');
+const { DEFAULT_MODELS } = require('./src/llm-provider.js');
+const { Cassette } = require('./src/cassette.js');
+const { parseSeedFile, seedFromString, SEED_FORMATS } = require('./src/seed-input.js');
+const { evaluateRun, formatRunLogRow, formatEvaluation } = require('./src/evaluate.js');
+const { buildMarkdownReport, buildHtmlReport } = require('./src/report.js');
+const { bibliographyEntries, BIBLIOGRAPHY_FORMATS } = require('./src/bibliography.js');
+const { TRACE_FILE, attachRunTrace, readRunTrace } = require('./src/run-trace.js');
+const { buildLineageGraph, GRAPH_FORMATS } = require('./src/lineage-graph.js');
+const { formatDebugTree, DEBUG_TREE_FILE } = require('./src/debug-tree.js');
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 
 const DEFAULT_USER_CRITERIA = "I want to trace research lineages by following lab/author continuations and methodological evolution in robotic visual navigation. Find the distinct lab lineages that have emerged in the last 5 or so years. The seed paper is kinda old, but seems to be one of those lineages that are high-quality, but I know there are others. Robotic navigation is what I'm interested in. It seems like the field is moving towards more and more neural networks, which makes sense given the progress in LLM land. So traditional SLAM is less interesting to me. \nTo be clear, I would just ask for a tracing of the SOTA progress over time in this field, but unfortunately the field doesn't seem to have a common set of benchmarks, and each lab focuses on their own evals. Well, there are a few common ones in VLM-for-nav land. So those are worth following. The seed is an older paper, so it won't refer to those, you'll have to find them.\nI'm coming at this as an engineer looking to adapt the latest research to an outdoor robot (not to say that indoor research won't be a important part of your search). So I don't really care about the details of implementation, and I'm not opinionated about anything except performance in real-world scenarios, and the adaptability/generality of solutions. For example, being able to give language instructions would be awesome. Make sure to follow any interesting lineages you find all the way to the latest research, I'm most interested in what has come out in the last 6 months, this space is moving fast. Tracing the lineages is really just a way to make sure that you can identify the high-quality research that has come out recently.\n This is a very crowded research space, so I want you to go so deep that you find yourself going in circles, that's when you know you've gone deep enough, i.e. you've come across many the same papers from multiple independent angles. To help filter noise and recognize gold, use relative citation counts as an approximate proxy for quality (consider any papers older than a year old with few citations as noise, ignore them). Also don't include very recent papers (2026) unless they come from a high-quality author/lab, or claim to directly outperform the previous SOTA.";
 
+const CONFIG_FILE = 'throughline.config.json';
+
+const CLI_OPTIONS = {
+  'seed':            { type: 'string', multiple: true },
+  'criteria':        { type: 'string' },
+  'criteria-file':   { type: 'string' },
+  'out-dir':         { type: 'string' },
+  'max-iterations':  { type: 'string' },
+  'min-iterations':  { type: 'string' },
+  'compact-at':      { type: 'string' },
+  'no-compaction':   { type: 'boolean' },
+  'max-tokens':      { type: 'string' },
+  'max-cost':        { type: 'string' },
+  'max-minutes':     { type: 'string' },
+  'agent-model':     { type: 'string' },
+  'reader-model':    { type: 'string' },
+  'no-cache':        { type: 'boolean' },
+  'cache-dir':       { type: 'string' },
+  'no-trace':        { type: 'boolean' },
+  'debug-tree':      { type: 'boolean' },
+  'reader-cache':    { type: 'boolean' },
+  'reader-cache-dir': { type: 'string' },
+  'quiet':           { type: 'boolean', short: 'q' },
+  'config':          { type: 'string' },
+  'resume':          { type: 'string' },
+  'record':          { type: 'string' },
+  'replay':          { type: 'string' },
+  'evaluate':        { type: 'string' },
+  'label':           { type: 'string' },
+  'report':          { type: 'boolean' },
+  'export':          { type: 'boolean' },
+  'include-borderline': { type: 'boolean' },
+  'graph':           { type: 'boolean' },
+  'lineage-lookups': { type: 'boolean' },
+  'talk-with-agent-after-finishing': { type: 'boolean' },
+  'help':            { type: 'boolean', short: 'h' }
+};
+
+// Keys accepted in throughline.config.json
+const CONFIG_KEYS = ['papers', 'seeds', 'criteria', 'criteriaFile', 'outDir', 'maxIterations', 'minIterations', 'compactAt', 'compaction', 'maxTokens', 'maxCost', 'maxMinutes', 'modelPrices', 'agentModel', 'readerModel', 'cache', 'cacheDir', 'readerCache', 'readerCacheDir', 'trace', 'debugTree', 'quiet', 'includeBorderline', 'lineageLookups'];
+
+const USAGE = `Usage: node main.js [seeds file] [options]
+
+Seeds
+  [seeds file]              .json (paper objects or identifier strings), .bib, .ris, or .txt (one per line)
+  --seed <id>               A DOI, arXiv ID, Semantic Scholar ID/URL or title (repeatable)
+Research question
+  --criteria <text>         Research criteria text
+  --criteria-file <file>    Read research criteria from a file
+Run limits
+  --max-iterations <n>      Hard cap on agent iterations (default 100)
+  --min-iterations <n>      Minimum iterations before the agent may finish (default: assessed from criteria)
+  --compact-at <tokens>     Clear old tool results once the agent prompt reaches this size (default 120000)
+  --no-compaction           Never compact the agent's context
+  --max-tokens <n>          Stop once agent + reader tokens reach n (the agent is told to wrap up at 85%)
+  --max-cost <usd>          Stop once the estimated LLM cost reaches this many dollars
+  --max-minutes <n>         Stop after this much wall-clock time
+Models
+  --agent-model <id>        Agent model (default AGENT_MODEL or ${DEFAULT_MODELS.agent})
+  --reader-model <id>       Reader model (default READER_MODEL or ${DEFAULT_MODELS.reader})
+Output and caching
+  --out-dir <dir>           Directory for results, primer and checkpoint (default .)
+  --cache-dir <dir>         Semantic Scholar response cache (default .ss-cache)
+  --no-cache                Do not read or write the Semantic Scholar cache
+  --reader-cache            Reuse reader verdicts from earlier runs with the same focus, criteria and primer
+  --reader-cache-dir <dir>  Reader verdict cache (default .reader-cache)
+  --no-trace                Do not write the JSONL run trace (${TRACE_FILE} in the output directory)
+  --debug-tree              Also write ${DEBUG_TREE_FILE}: iterations → tool calls → reader verdicts
+                            and track/primer edits, as an indented text tree
+  -q, --quiet               Only print errors and the final summary
+  --include-borderline      Also export papers the reader marked borderline but the agent never added
+  --lineage-lookups         Fetch every track paper's references for the lineage graph (default: only
+                            citation data already fetched during the run or in the cache)
+Run modes
+  --resume <checkpoint>     Continue an interrupted run
+  --record <cassette>       Record every LLM + Semantic Scholar exchange
+  --replay <cassette>       Replay a recorded run offline
+  --evaluate <expected>     Score a results file ([seeds file] position) against an expected survey
+  --label <text>            Run label for the --evaluate run-log row
+  --report                  Rebuild the markdown + HTML report from a results file ([seeds file] position)
+  --export                  Rebuild the BibTeX / RIS / CSL-JSON bibliography from a results file
+  --graph                   Rebuild the lineage graph (DOT / Mermaid / GraphML) from a results file
+  --talk-with-agent-after-finishing  Chat with the agent once the run completes
+  --config <file>           Config file (default ${CONFIG_FILE}; keys are the camelCased flags,
+                            plus "papers", "seeds", "cache": false, "compaction": false, "trace": false and
+                            "modelPrices": { "<model>": { "input": <usd/M>, "output": <usd/M> } })
+  -h, --help                Show this help`;
+
 // Load .env file if it exists
 function loadEnvFile() {
   const envPath = path.join(__dirname, '.env');
@@ -62,6 +171,17 @@ const EXAMPLE_PAPERS = [
   }
 ];
 
+/**
+ * Load seeds from a file; the format follows the extension (.json, .bib/.bibtex, .ris, .txt).
+ * Identifier-only seeds get their metadata filled in by the analyzer.
+ */
+function loadSeedPapers(file) {
+  const format = SEED_FORMATS[path.extname(file).toLowerCase()] || 'json';
+  const seeds = parseSeedFile(fs.readFileSync(file, 'utf8'), format);
+  if (seeds.length === 0) throw new Error(`no seed papers found (parsed as ${format})`);
+  return seeds;
+}
+
 /**
  * Analyze papers and trace research lineages
  * @param {Array} papers - Array of seed paper objects
@@ -70,27 +190,53 @@ const EXAMPLE_PAPERS = [
  * @returns {Promise<Object>} - Analysis results
  */
 async function analyzePapers(papers = [], apiKey, options = {}) {
-  if (!apiKey) {
-    throw new Error('OpenRouter API key is required. Set OPENROUTER_API_KEY environment variable or pass as parameter.');
+  const llmBaseUrl = options.llmBaseUrl || process.env.LLM_BASE_URL;
+  const cassette = options.cassette || null;
+  const quiet = !!options.quiet;
+  const info = quiet ? () => {} : console.log;
+  if (!apiKey && !llmBaseUrl && !cassette?.replaying) {
+    throw new Error('OpenRouter API key is required. Set OPENROUTER_API_KEY environment variable or pass as parameter (or set LLM_BASE_URL for a local OpenAI-compatible server).');
   }
 
-  const criteria = options.clusteringCriteria || DEFAULT_USER_CRITERIA;
+  const checkpoint = options.resumeCheckpoint || null;
+  const criteria = options.clusteringCriteria || checkpoint?.clusteringCriteria || DEFAULT_USER_CRITERIA;
+  if (checkpoint) papers = checkpoint.seedPapers || [];
 
   const config = {
     openRouterApiKey: apiKey,
+    llmBaseUrl,
+    agentModel: options.agentModel,
+    readerModel: options.readerModel,
+    complexityModel: options.complexityModel,
     clusteringCriteria: criteria,
+    maxIterations: options.maxIterations,
+    minIterations: options.minIterations,
+    compactionThreshold: options.compactionThreshold,
+    maxTokens: options.maxTokens,
+    maxCost: options.maxCost,
+    maxWallClockMs: options.maxWallClockMs,
+    modelPrices: options.modelPrices,
+    ssCacheEnabled: options.ssCacheEnabled,
+    ssCacheDir: options.ssCacheDir,
+    readerCacheEnabled: options.readerCacheEnabled,
+    readerCacheDir: options.readerCacheDir,
+    checkpointPath: options.checkpointPath || null,
+    cassette,
     logger: {
-      log: (...args) => console.log('[Throughline]', ...args),
+      log: quiet ? () => {} : (...args) => console.log('[Throughline]', ...args),
       error: (...args) => console.error('[Throughline]', ...args),
       warn: (...args) => console.warn('[Throughline]', ...args)
     }
   };
 
   const analyzer = new ThroughlineAnalyzer(config);
-  console.log('Research criteria:', config.clusteringCriteria);
+  info('Research criteria:', config.clusteringCriteria);
+  // A resumed run continues its trace
+  const trace = options.tracePath ? attachRunTrace(analyzer, options.tracePath, { append: !!checkpoint }) : null;
 
   // Progress callback
   const onProgress = (message, detail, percent, threads) => {
+    if (quiet) return;
     if (percent !== null) {
       process.stdout.write(`\r${message} - ${percent.toFixed(1)}%`);
     } else {
@@ -103,16 +249,27 @@ async function analyzePapers(papers = [], apiKey, options = {}) {
     }
   };
 
-  console.log('Starting analysis of', papers.length, 'seed papers...');
+  if (checkpoint) info(`Resuming analysis from iteration ${checkpoint.iteration} (checkpoint saved ${checkpoint.savedAt})...`);
+  else info('Starting analysis of', papers.length, 'seed papers...');
   
   const startTime = Date.now();
   
   try {
-    const { threads, primer, messages } = await analyzer.exploreUserInterest(papers, onProgress);
+    const { threads, primer, messages, unresolvedSeeds, readerVerdicts, stats } = checkpoint
+      ? await analyzer.resumeFromCheckpoint(checkpoint, onProgress)
+      : await analyzer.exploreUserInterest(papers, onProgress);
+
+    const lineageEdges = await analyzer.lineageEdges(threads, { lookup: !!options.lineageLookups });
 
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`\n\nAnalysis complete in ${duration}s!`);
-    console.log(`Found ${threads.length} research threads`);
+    // A replayed run reports the recorded duration so its results file is byte-identical to the original
+    const duration = cassette?.replaying ? cassette.meta.duration : ((Date.now() - startTime) / 1000).toFixed(1);
+    if (cassette && !cassette.replaying) {
+      cassette.meta.duration = duration;
+      cassette.save();
+      info(`\nCassette recorded to ${cassette.filePath} (${cassette.entries.length} exchanges)`);
+    }
+    info(`\n\nAnalysis complete in ${duration}s!`);
+    info(`Found ${threads.length} research threads`);
 
     return {
       success: true,
@@ -120,15 +277,40 @@ async function analyzePapers(papers = [], apiKey, options = {}) {
       primer,
       messages,
       duration: parseFloat(duration),
-      seedPapers: papers.length
+      seedPapers: papers.length,
+      unresolvedSeeds,
+      criteria,
+      seeds: analyzer.seedPapers.map(p => ({ paperId: p.paperId, title: p.title, year: p.year })),
+      // Every paper the reader passed to the agent, with its verdict (evaluation, bibliography export)
+      readerVerdicts,
+      // Full metadata for papers the reader flagged borderline that never made a track (bibliography export)
+      borderlinePapers: readerVerdicts
+        .filter(p => p.verdict === 'borderline' && !analyzer.processedPapers.has(p.id) && analyzer.paperStore.has(p.id))
+        .map(p => analyzer.paperStore.get(p.id)),
+      lineageEdges,
+      stats
     };
   } catch (error) {
     console.error('\n\nAnalysis failed:', error.message);
+    if (cassette && !cassette.replaying) cassette.save();
+    if (config.checkpointPath) console.error(`Progress up to the last completed iteration is in ${config.checkpointPath} — continue with --resume ${config.checkpointPath}`);
     return {
       success: false,
       error: error.message,
-      partialResults: analyzer.threads
+      partialResults: analyzer.threads,
+      partialPrimer: analyzer.primer,
+      checkpointPath: config.checkpointPath
     };
+  } finally {
+    if (trace) {
+      trace.close();
+      info(`Run trace written to ${trace.filePath}`);
+    }
+    // Written even when the run fails, since that is when it is most useful
+    if (options.debugTreePath) {
+      fs.writeFileSync(options.debugTreePath, formatDebugTree(analyzer.debugTree));
+      info(`Debug tree (${analyzer.debugTree.length} nodes) written to ${options.debugTreePath}`);
+    }
   }
 }
 
@@ -147,7 +329,8 @@ function displayResults(results) {
 
   results.threads.forEach((thread, i) => {
     console.log(`\n${i + 1}. ${thread.theme}`);
-    console.log(`   Spawned from: "${thread.spawnPaper.title}" (${thread.spawnYear})`);
+    // A run cut short by --max-iterations can leave a freshly created track still empty
+    if (thread.spawnPaper) console.log(`   Spawned from: "${thread.spawnPaper.title}" (${thread.spawnYear})`);
     console.log(`   Papers in thread: ${thread.papers.length}`);
     
     thread.papers.forEach((paper, j) => {
@@ -169,107 +352,406 @@ function displayResults(results) {
 
   console.log('\n' + '='.repeat(70));
   console.log(`Total: ${results.threads.length} threads from ${results.seedPapers} seed papers`);
+  if (results.unresolvedSeeds && results.unresolvedSeeds.length > 0) {
+    console.log(`Unresolved seeds (not found on Semantic Scholar): ${results.unresolvedSeeds.join(', ')}`);
+  }
   console.log(`Duration: ${results.duration}s`);
   console.log('='.repeat(70));
 }
 
+/**
+ * Score a saved results file against an expected-output survey.
+ * Writes <name>-eval.json (full report) and <name>-eval.md (a row for the run-log score table).
+ */
+function runEvaluation(expectedFile, resultsFile, label) {
+  const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+  const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+  // Results files from before readerVerdicts: the run trace next to them still has the reader verdicts
+  // that context compaction cleared from the messages
+  const traceFile = path.join(path.dirname(resultsFile), TRACE_FILE);
+  const trace = !results.readerVerdicts && fs.existsSync(traceFile) ? readRunTrace(traceFile) : null;
+  if (trace) console.log(`Reader verdicts from ${traceFile}`);
+  const report = evaluateRun(results, expected, trace);
+  const row = formatRunLogRow(report, label || new Date().toISOString().slice(0, 10));
+
+  console.log(formatEvaluation(report));
+  console.log(`\nRun-log row:\n${row}`);
+
+  const base = resultsFile.replace(/\.json$/, '');
+  fs.writeFileSync(`${base}-eval.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}-eval.md`, row + '\n');
+  console.log(`\nEvaluation saved to ${base}-eval.json and ${base}-eval.md`);
+}
+
+/**
+ * Read throughline.config.json (or --config <file>). Keys are the camelCased CLI flags plus
+ * "papers" (seed file) and "cache": false (same as --no-cache). Relative paths resolve against the file.
+ */
+function loadConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} not found`);
+    return {};
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${file}: ${error.message}`);
+  }
+  const unknown = Object.keys(config).filter(k => !CONFIG_KEYS.includes(k));
+  if (unknown.length > 0) console.warn(`Warning: ignoring unknown keys in ${file}: ${unknown.join(', ')}`);
+  const dir = path.dirname(path.resolve(file));
+  for (const key of ['papers', 'criteriaFile', 'outDir', 'cacheDir', 'readerCacheDir']) {
+    if (typeof config[key] === 'string') config[key] = path.resolve(dir, config[key]);
+  }
+  return config;
+}
+
+/**
+ * Merge CLI flags over config-file values over defaults. Throws on invalid combinations.
+ */
+function resolveRunOptions(flags, positionals, config, configFile) {
+  const pick = (flag, key) => flags[flag] !== undefined ? flags[flag] : config[key];
+  const positiveInt = (flag, key) => {
+    const value = pick(flag, key);
+    if (value === undefined || value === null) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`--${flag} must be a positive integer (got ${value})`);
+    return n;
+  };
+  const positiveNumber = (flag, key) => {
+    const value = pick(flag, key);
+    if (value === undefined || value === null) return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`--${flag} must be a positive number (got ${value})`);
+    return n;
+  };
+
+  if (flags.criteria !== undefined && flags['criteria-file'] !== undefined) {
+    throw new Error('--criteria and --criteria-file cannot be combined');
+  }
+  const readCriteriaFile = (file) => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read criteria file ${file}: ${error.message}`);
+    }
+  };
+  // CLI beats the config file; inline text beats a file within the same source
+  let criteria = null;
+  let criteriaSource = null;
+  if (flags.criteria !== undefined) {
+    [criteria, criteriaSource] = [flags.criteria, '--criteria'];
+  } else if (flags['criteria-file'] !== undefined) {
+    [criteria, criteriaSource] = [readCriteriaFile(flags['criteria-file']), flags['criteria-file']];
+  } else if (config.criteria !== undefined) {
+    [criteria, criteriaSource] = [String(config.criteria), configFile];
+  } else if (config.criteriaFile) {
+    [criteria, criteriaSource] = [readCriteriaFile(config.criteriaFile), config.criteriaFile];
+  }
+  if (criteria !== null && !criteria.trim()) throw new Error(`Research criteria from ${criteriaSource} is empty`);
+
+  const maxIterations = positiveInt('max-iterations', 'maxIterations');
+  const minIterations = positiveInt('min-iterations', 'minIterations');
+  if (maxIterations && minIterations && minIterations > maxIterations) {
+    throw new Error(`--min-iterations (${minIterations}) cannot exceed --max-iterations (${maxIterations})`);
+  }
+  const compactAt = positiveInt('compact-at', 'compactAt');
+  const compaction = !flags['no-compaction'] && config.compaction !== false;
+  const maxMinutes = positiveNumber('max-minutes', 'maxMinutes');
+  if (config.modelPrices !== undefined && (typeof config.modelPrices !== 'object' || Array.isArray(config.modelPrices))) {
+    throw new Error(`"modelPrices" in ${configFile} must be an object of { input, output } USD per million tokens`);
+  }
+
+  const seeds = flags.seed || config.seeds || [];
+  if (!Array.isArray(seeds)) throw new Error(`"seeds" in ${configFile} must be an array`);
+
+  return {
+    papersFile: positionals[0] || config.papers || null,
+    seeds,
+    criteria: criteria && criteria.trim(),
+    criteriaSource,
+    outDir: pick('out-dir', 'outDir') || '.',
+    maxIterations,
+    minIterations,
+    // 0 turns compaction off; undefined leaves the analyzer default
+    compactionThreshold: compaction ? compactAt : 0,
+    maxTokens: positiveInt('max-tokens', 'maxTokens'),
+    maxCost: positiveNumber('max-cost', 'maxCost'),
+    maxWallClockMs: maxMinutes && maxMinutes * 60000,
+    modelPrices: config.modelPrices,
+    agentModel: pick('agent-model', 'agentModel'),
+    readerModel: pick('reader-model', 'readerModel'),
+    cacheEnabled: flags['no-cache'] ? false : config.cache !== false,
+    cacheDir: pick('cache-dir', 'cacheDir'),
+    readerCacheEnabled: !!pick('reader-cache', 'readerCache'),
+    readerCacheDir: pick('reader-cache-dir', 'readerCacheDir'),
+    trace: !flags['no-trace'] && config.trace !== false,
+    debugTree: !!pick('debug-tree', 'debugTree'),
+    quiet: !!pick('quiet', 'quiet'),
+    includeBorderline: !!pick('include-borderline', 'includeBorderline'),
+    lineageLookups: !!pick('lineage-lookups', 'lineageLookups')
+  };
+}
+
+/**
+ * Write <outDir>/throughline-report.md and .html for a results object. Returns the two paths.
+ */
+function writeReports(results, outDir) {
+  const mdFile = path.join(outDir, 'throughline-report.md');
+  const htmlFile = path.join(outDir, 'throughline-report.html');
+  fs.writeFileSync(mdFile, buildMarkdownReport(results));
+  fs.writeFileSync(htmlFile, buildHtmlReport(results));
+  return [mdFile, htmlFile];
+}
+
+/**
+ * Write throughline.bib / .ris / .csl.json for a results object into outDir. Returns the paths and entry count.
+ */
+function writeBibliography(results, outDir, includeBorderline) {
+  const entries = bibliographyEntries(results, { includeBorderline });
+  const files = Object.values(BIBLIOGRAPHY_FORMATS).map(({ extension, render }) => {
+    const file = path.join(outDir, `throughline${extension}`);
+    fs.writeFileSync(file, render(entries));
+    return file;
+  });
+  return { files, count: entries.length };
+}
+
+/**
+ * Write throughline-lineage.dot / .mmd / .graphml for a results object into outDir. Returns the paths and graph size.
+ */
+function writeLineageGraph(results, outDir) {
+  const graph = buildLineageGraph(results);
+  const files = Object.values(GRAPH_FORMATS).map(({ extension, render }) => {
+    const file = path.join(outDir, `throughline-lineage${extension}`);
+    fs.writeFileSync(file, render(graph));
+    return file;
+  });
+  return { files, nodes: graph.nodes.length, edges: graph.edges.length };
+}
+
 /**
  * Main function - handles CLI usage
  */
 async function main() {
+  let flags, positionals, opts;
+  try {
+    ({ values: flags, positionals } = parseArgs({ args: process.argv.slice(2), options: CLI_OPTIONS, allowPositionals: true }));
+    if (flags.help) {
+      console.log(USAGE);
+      return;
+    }
+    const configFile = flags.config || CONFIG_FILE;
+    const config = loadConfigFile(configFile, !!flags.config);
+    opts = resolveRunOptions(flags, positionals, config, configFile);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const info = opts.quiet ? () => {} : console.log;
+
+  // --evaluate <expected.json> [results.json] scores an existing run; no API calls
+  if (flags.evaluate) {
+    const resultsFile = positionals[0] || path.join(opts.outDir, 'throughline-results.json');
+    try {
+      runEvaluation(flags.evaluate, resultsFile, flags.label);
+    } catch (error) {
+      console.error('Evaluation failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // --report [results.json] rebuilds the shareable report from a saved run; no API calls
+  if (flags.report) {
+    const resultsFile = positionals[0] || path.join(opts.outDir, 'throughline-results.json');
+    try {
+      const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+      const [mdFile, htmlFile] = writeReports(results, path.dirname(resultsFile));
+      console.log(`Report saved to ${mdFile} and ${htmlFile}`);
+    } catch (error) {
+      console.error('Report failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // --export [results.json] rebuilds the bibliography from a saved run; no API calls
+  if (flags.export) {
+    const resultsFile = positionals[0] || path.join(opts.outDir, 'throughline-results.json');
+    try {
+      const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+      const { files, count } = writeBibliography(results, path.dirname(resultsFile), opts.includeBorderline);
+      console.log(`Exported ${count} papers to ${files.join(', ')}`);
+    } catch (error) {
+      console.error('Export failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // --graph [results.json] rebuilds the lineage graph from a saved run, adding citation data from the
+  // SS cache (and, with --lineage-lookups, fresh reference lookups)
+  if (flags.graph) {
+    const resultsFile = positionals[0] || path.join(opts.outDir, 'throughline-results.json');
+    try {
+      const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+      const analyzer = new ThroughlineAnalyzer({
+        ssCacheEnabled: opts.cacheEnabled,
+        ssCacheDir: opts.cacheDir,
+        logger: { log: opts.quiet ? () => {} : console.log, error: console.error, warn: console.warn }
+      });
+      results.lineageEdges = await analyzer.lineageEdges(results.threads || [], { lookup: opts.lineageLookups, known: results.lineageEdges || [] });
+      const { files, nodes, edges } = writeLineageGraph(results, path.dirname(resultsFile));
+      console.log(`Lineage graph (${nodes} papers, ${edges} citation links) saved to ${files.join(', ')}`);
+    } catch (error) {
+      console.error('Graph export failed:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // --record / --replay <cassette> capture or play back every LLM + SS exchange (see src/cassette.js)
+  const recordFile = flags.record;
+  const replayFile = flags.replay;
+  if (recordFile && replayFile) {
+    console.error('Error: --record and --replay cannot be combined');
+    process.exit(1);
+  }
+  let cassette = null;
+  if (replayFile) {
+    try {
+      cassette = Cassette.replay(replayFile);
+      info(`Replaying ${cassette.entries.length} recorded exchanges from ${replayFile} (offline)`);
+    } catch (error) {
+      console.error(`Error loading cassette ${replayFile}:`, error.message);
+      process.exit(1);
+    }
+  } else if (recordFile) {
+    cassette = Cassette.record(recordFile);
+    info(`Recording LLM + Semantic Scholar exchanges to ${recordFile}`);
+  }
+  if (cassette && opts.readerCacheEnabled) info('Reader cache disabled while recording or replaying');
+
   // Get API key from environment (which may have been set from .env file)
-  const apiKey = process.env.OPENROUTER_API_KEY;
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY;
+  const llmBaseUrl = process.env.LLM_BASE_URL;
   
-  if (!apiKey) {
+  if (!apiKey && !llmBaseUrl && !replayFile) {
     console.error('Error: OPENROUTER_API_KEY not found in .env file or environment');
     console.error('\nOptions:');
     console.error('  1. Create a .env file with: OPENROUTER_API_KEY=your-key');
     console.error('  2. Set environment variable: OPENROUTER_API_KEY=your-key node main.js');
     console.error('  3. Edit the .env file in this directory');
+    console.error('  4. Point LLM_BASE_URL at a local OpenAI-compatible server (llama.cpp, vLLM, ...)');
     process.exit(1);
   }
   
   // Show which source the key came from (without revealing the key)
   const keySource = fs.existsSync(path.join(__dirname, '.env')) ? '.env file' : 'environment variable';
-  console.log(`Using API key from ${keySource}`);
+  if (apiKey) info(`Using API key from ${keySource}`);
+  if (llmBaseUrl) info(`Using LLM endpoint ${llmBaseUrl}`);
 
-  const talkAfter = process.argv.includes('--talk-with-agent-after-finishing');
+  const talkAfter = flags['talk-with-agent-after-finishing'];
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const checkpointPath = path.join(opts.outDir, 'throughline-checkpoint.json');
 
-  // Load papers from file if provided, otherwise use examples
+  // --resume <checkpoint> continues an interrupted run instead of starting from seed papers
+  const resumeFile = flags.resume;
+
+  // Load seeds from file and/or --seed, otherwise start from criteria alone
   let papers;
-  const inputFile = process.argv.find(a => !a.startsWith('--') && a !== process.argv[0] && a !== process.argv[1]);
+  let resumeCheckpoint = null;
+  const inputFile = opts.papersFile;
   
-  if (inputFile) {
+  if (resumeFile) {
     try {
-      const data = fs.readFileSync(inputFile, 'utf8');
-      papers = JSON.parse(data);
-      console.log(`Loaded ${papers.length} papers from ${inputFile}`);
+      resumeCheckpoint = ThroughlineAnalyzer.loadCheckpoint(resumeFile);
+      papers = resumeCheckpoint.seedPapers || [];
+      info(`Loaded checkpoint ${resumeFile} (iteration ${resumeCheckpoint.iteration})`);
     } catch (error) {
-      console.error(`Error loading ${inputFile}:`, error.message);
+      console.error(`Error loading checkpoint ${resumeFile}:`, error.message);
       process.exit(1);
     }
+  } else if (inputFile || opts.seeds.length > 0) {
+    papers = [];
+    if (inputFile) {
+      try {
+        papers = loadSeedPapers(inputFile);
+        info(`Loaded ${papers.length} seeds from ${inputFile}`);
+      } catch (error) {
+        console.error(`Error loading ${inputFile}:`, error.message);
+        process.exit(1);
+      }
+    }
+    papers.push(...opts.seeds.map(seedFromString));
   } else {
     papers = [];
-    console.log('No seed papers — starting from criteria alone.');
+    info('No seed papers — starting from criteria alone.');
   }
+  if (opts.criteria) info(`Research criteria from ${opts.criteriaSource}`);
 
   // Run analysis
-  const results = await analyzePapers(papers, apiKey);
+  const results = await analyzePapers(papers, apiKey, {
+    clusteringCriteria: opts.criteria || undefined,
+    checkpointPath: resumeFile || checkpointPath,
+    resumeCheckpoint,
+    cassette,
+    agentModel: opts.agentModel,
+    readerModel: opts.readerModel,
+    maxIterations: opts.maxIterations,
+    minIterations: opts.minIterations,
+    compactionThreshold: opts.compactionThreshold,
+    tracePath: opts.trace ? path.join(opts.outDir, TRACE_FILE) : null,
+    debugTreePath: opts.debugTree ? path.join(opts.outDir, DEBUG_TREE_FILE) : null,
+    maxTokens: opts.maxTokens,
+    maxCost: opts.maxCost,
+    maxWallClockMs: opts.maxWallClockMs,
+    modelPrices: opts.modelPrices,
+    lineageLookups: opts.lineageLookups,
+    ssCacheEnabled: opts.cacheEnabled,
+    ssCacheDir: opts.cacheDir,
+    readerCacheEnabled: opts.readerCacheEnabled,
+    readerCacheDir: opts.readerCacheDir,
+    quiet: opts.quiet
+  });
 
   // Display results
   displayResults(results);
 
   // Optionally save results
   if (results.success) {
-    const outputFile = 'throughline-results.json';
+    const outputFile = path.join(opts.outDir, 'throughline-results.json');
     fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
     console.log(`\nResults saved to ${outputFile}`);
 
     if (results.primer) {
-      const primerFile = 'throughline-primer.md';
+      const primerFile = path.join(opts.outDir, 'throughline-primer.md');
       fs.writeFileSync(primerFile, results.primer);
       console.log(`Research primer saved to ${primerFile}`);
     }
 
+    const [mdFile, htmlFile] = writeReports(results, opts.outDir);
+    console.log(`Report saved to ${mdFile} and ${htmlFile}`);
+    const { files, count } = writeBibliography(results, opts.outDir, opts.includeBorderline);
+    console.log(`Bibliography (${count} papers) saved to ${files.join(', ')}`);
+    const graph = writeLineageGraph(results, opts.outDir);
+    console.log(`Lineage graph (${graph.nodes} papers, ${graph.edges} citation links) saved to ${graph.files.join(', ')}`);
+
     if (talkAfter && results.messages) {
-      const { ThroughlineAnalyzer } = require('./src/throughline-analyzer.js');
-      const chatAnalyzer = new ThroughlineAnalyzer({ openRouterApiKey: apiKey });
+      const chatAnalyzer = new ThroughlineAnalyzer({
+        openRouterApiKey: apiKey,
+        agentModel: opts.agentModel,
+        ssCacheEnabled: opts.cacheEnabled,
+        ssCacheDir: opts.cacheDir
+      });
       await chatAnalyzer.chat(results.messages);
     }
   }
 }
 
-/**
- * Format debug tree for text output
- */
-function formatDebugTree(tree) {
-  let text = '=== THROUGHLINE ANALYSIS DEBUG TREE ===\n\n';
-  
-  tree.forEach((node, i) => {
-    const stackDepth = node.data?.stackDepth || 1;
-    const baseIndent = '  '.repeat(stackDepth - 1);
-    
-    text += `\n${baseIndent}[${i + 1}] ${node.type.toUpperCase()}: ${node.message}\n`;
-    
-    if (node.data) {
-      if (node.data.explanation) {
-        text += `${baseIndent}    ${node.data.explanation}\n`;
-      }
-      if (node.data.found) {
-        text += `${baseIndent}    Found: ${node.data.found}\n`;
-      }
-      if (node.data.decision) {
-        text += `${baseIndent}    Decision: ${node.data.decision}\n`;
-      }
-      if (node.data.reason) {
-        text += `${baseIndent}    Reason: ${node.data.reason}\n`;
-      }
-    }
-  });
-  
-  return text;
-}
-
 // Run main if called directly
 if (require.main === module) {
   main().catch(error => {
@@ -152,56 +152,26 @@ function formatDate(isoString) {
 document.addEventListener('DOMContentLoaded', () => {
   loadPapers();
   
-  // Restore previous screen if it was trace
-  chrome.storage.local.get(['currentScreen', 'analysisResults', 'analysisProgress'], (result) => {
-    if (result.currentScreen === 'trace') {
+  // Restore previous screen if it was trace or history
+  chrome.storage.local.get(['currentScreen', 'analysisResults', 'analysisProgress', 'analysisError'], (result) => {
+    if (result.currentScreen === 'history') {
+      showHistoryScreen();
+    } else if (result.currentScreen === 'trace') {
       document.getElementById('main-screen').classList.remove('active');
       document.getElementById('trace-screen').classList.add('active');
       
-      // Show previous results if they exist
-      if (result.analysisResults) {
-        document.getElementById('progress').style.display = 'none';
-        displayResults(result.analysisResults);
-      } else if (result.analysisProgress && result.analysisProgress.percent < 100) {
-        // Analysis in progress - start polling
-        document.getElementById('progress').style.display = 'block';
-        document.getElementById('results').style.display = 'none';
-        startProgressPolling();
-        
-        // Attach stop button handler
-        const stopBtn = document.getElementById('stop-btn');
-        if (stopBtn) {
-          stopBtn.disabled = false;
-          stopBtn.textContent = '⏹ Stop';
-          stopBtn.style.background = '#ef4444';
-          
-          stopBtn.onclick = () => {
-            chrome.runtime.sendMessage({ action: 'stopAnalysis' });
-            chrome.storage.local.set({ analysisShouldStop: true });
-            
-            stopBtn.disabled = true;
-            stopBtn.textContent = '⏹ Stopping...';
-            stopBtn.style.background = '#9ca3af';
-          };
-        }
-      } else {
-        // No results and no progress - show restart
-        document.getElementById('progress-text').textContent = 'Start analysis to trace throughlines';
-        document.getElementById('progress-detail').innerHTML = '<button id="restart-btn" style="margin-top: 12px; background: #6366f1; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; font-size: 12px;">Start Analysis</button>';
-        
-        setTimeout(() => {
-          const restartBtn = document.getElementById('restart-btn');
-          if (restartBtn) {
-            restartBtn.addEventListener('click', () => runAnalysis());
-          }
-        }, 0);
-      }
+      showAnalysisState(result);
     }
   });
   
   document.getElementById('clear-all').addEventListener('click', clearAll);
   document.getElementById('trace-btn').addEventListener('click', showTraceScreen);
   document.getElementById('back-btn').addEventListener('click', showMainScreen);
+  document.getElementById('history-btn').addEventListener('click', showHistoryScreen);
+  document.getElementById('history-back-btn').addEventListener('click', showMainScreen);
+  document.getElementById('history-content').addEventListener('click', handleHistoryClick);
+  initCriteriaEditor();
+  initActivityFeed();
   
   // Debug panel controls
   document.getElementById('debug-toggle').addEventListener('click', () => {
@@ -215,8 +185,8 @@ document.addEventListener('DOMContentLoaded', () => {
     DEBUG.log('Debug logs cleared');
   });
   
-  // Poll for background logs
-  startDebugLogPolling();
+  // Background logs, agent activity and progress arrive over a port
+  connectActivity();
 });
 
 // Screen switching
@@ -227,255 +197,126 @@ function downloadDebugTree(tree) {
     return;
   }
   
-  // Format as readable text with proper indentation
-  let text = '=== THROUGHLINE ANALYSIS DEBUG TREE ===\n';
-  text += '\nLEGEND:\n';
-  text += '  EXPAND_BEGIN/END = Start/end expanding a thread\n';
-  text += '  LOOP_BEGIN/END = Start/end one iteration of expansion loop\n';
-  text += '  SEARCH = Fetch citations + recommendations for a paper\n';
-  text += '  RANK = LLM ranks papers by relevance to thread theme\n';
-  text += '  SELECT_DECISIONS = LLM decides which papers to ADD/SKIP with reasoning\n';
-  text += '  SELECT_BEGIN = Summary of papers selected\n';
-  text += '  SELECT/ADD = Add a paper to the current thread\n';
-  text += '  SKIP = Paper skipped (already processed)\n';
-  text += '  THEMES_EXTRACT = Check paper for potential sub-thread themes\n';
-  text += '  SUBTHREAD_CHECK = Check if a theme should spawn a sub-thread (with reasoning)\n';
-  text += '\n' + '='.repeat(70) + '\n';
-  
-  tree.forEach((node, i) => {
-    // Calculate indentation based on stack depth
-    const stackDepth = node.data?.stackDepth || 1;
-    const baseIndent = '  '.repeat(stackDepth - 1);
-    const dataIndent = baseIndent + '    ';
-    
-    // Format the main line
-    text += `\n${baseIndent}[${i + 1}] ${node.type.toUpperCase()}: ${node.message}\n`;
-    
-    if (node.data) {
-      // Expand begin
-      if (node.type === 'expand_begin') {
-        text += `${dataIndent}Starting from paper: ${node.data.spawnPaper}\n`;
-        if (node.data.startingPapers && node.data.startingPapers.length > 0) {
-          text += `${dataIndent}Thread starts with: ${node.data.startingPapers.join(' → ')}\n`;
-        }
-      }
-      
-      // Expand end
-      if (node.type === 'expand_end') {
-        text += `${dataIndent}Final papers in thread:\n`;
-        if (node.data.finalPapers) {
-          node.data.finalPapers.forEach((p, idx) => {
-            text += `${dataIndent}  ${idx + 1}. ${p}\n`;
-          });
-        }
-      }
-      
-      // Loop begin
-      if (node.type === 'loop_begin') {
-        text += `${dataIndent}Thread has ${node.data.threadPaperCount} papers so far\n`;
-        if (node.data.explanation) {
-          text += `${dataIndent}Goal: ${node.data.explanation}\n`;
-        }
-      }
-      
-      // Loop end
-      if (node.type === 'loop_end') {
-        if (node.data.explanation) {
-          text += `${dataIndent}${node.data.explanation}\n`;
-        }
-      }
-      
-      // Search info  
-      if (node.type === 'search') {
-        if (node.data.reason) {
-          text += `${dataIndent}Trigger: ${node.data.reason}\n`;
-        }
-        if (node.data.found) {
-          text += `${dataIndent}Found: ${node.data.found}\n`;
-        }
-        if (node.data.yearDistribution) {
-          text += `${dataIndent}Year distribution: ${JSON.stringify(node.data.yearDistribution)}\n`;
-        }
-        if (node.data.afterMerge !== undefined) {
-          text += `${dataIndent}After merge (dedup): ${node.data.afterMerge}\n`;
-        }
-        if (node.data.afterQualityFilter !== undefined) {
-          text += `${dataIndent}After quality filter: ${node.data.afterQualityFilter}\n`;
-        }
-        if (node.data.afterYearFilter !== undefined) {
-          text += `${dataIndent}Final count: ${node.data.afterYearFilter}\n`;
-        }
-      }
-      
-      // Rank info
-      if (node.type === 'rank') {
-        if (node.data.theme) {
-          text += `${dataIndent}Theme: ${node.data.theme}\n`;
-        }
-        if (node.data.criteria) {
-          text += `${dataIndent}Ranking criteria: ${node.data.criteria}\n`;
-        }
-        if (node.data.top10) {
-          text += `${dataIndent}Top 10 ranked:\n`;
-          node.data.top10.forEach((p, j) => {
-            text += `${dataIndent}  ${j + 1}. [${p.year}] ${p.title} (${p.citations} cites)\n`;
-            text += `${dataIndent}     Authors: ${p.authors}\n`;
-          });
-        }
-      }
-      
-      // Select begin
-      if (node.type === 'select_begin') {
-        if (node.data.selectedPapers) {
-          text += `${dataIndent}Selected papers:\n`;
-          node.data.selectedPapers.forEach(c => {
-            text += `${dataIndent}  - ${c}\n`;
-          });
-        } else if (node.data.topCandidates) {
-          text += `${dataIndent}Top candidates (none selected):\n`;
-          node.data.topCandidates.forEach(c => {
-            text += `${dataIndent}  ${c}\n`;
-          });
-        }
-      }
-      
-      // Select decisions (LLM reasoning for each paper)
-      if (node.type === 'select_decisions') {
-        if (node.data.decisions) {
-          text += `${dataIndent}LLM decisions:\n`;
-          node.data.decisions.forEach(d => {
-            const marker = d.decision === 'ADD' ? '✓' : '✗';
-            text += `${dataIndent}  ${marker} ${d.decision}: ${d.title}...\n`;
-            text += `${dataIndent}      Reason: ${d.reason}\n`;
-          });
-        }
-        if (node.data.error) {
-          text += `${dataIndent}Parse error: ${node.data.error}\n`;
-        }
-      }
-      
-      // Select info
-      if (node.type === 'select') {
-        if (node.data.whySelected) {
-          text += `${dataIndent}Why: ${node.data.whySelected}\n`;
-        }
-        if (node.data.year) {
-          text += `${dataIndent}Year: ${node.data.year}, Citations: ${node.data.citations || 0}\n`;
-        }
-        if (node.data.authors) {
-          text += `${dataIndent}Authors: ${node.data.authors}\n`;
-        }
-        if (node.data.threadNowHas) {
-          text += `${dataIndent}Thread now has: ${node.data.threadNowHas.join(' → ')}\n`;
-        }
-        // Show expansion stack (condensed)
-        if (node.data.allThreads && node.data.allThreads.expansionStack) {
-          const stack = node.data.allThreads.expansionStack;
-          if (stack.length > 1) {
-            text += `${dataIndent}[Expanding within ${stack.length} nested threads]\n`;
-          }
-        }
-      }
-      
-      // Sub-thread check info
-      if (node.type === 'subthread_check') {
-        if (node.data.decision) {
-          text += `${dataIndent}Decision: ${node.data.decision}\n`;
-        }
-        if (node.data.reason) {
-          text += `${dataIndent}Reason: ${node.data.reason}\n`;
-        }
-        if (node.data.parentTheme) {
-          text += `${dataIndent}Parent theme: ${node.data.parentTheme}\n`;
-        }
-        if (node.data.candidateTheme) {
-          text += `${dataIndent}Candidate theme: ${node.data.candidateTheme}\n`;
-        }
-        if (node.data.seedPapers) {
-          text += `${dataIndent}Seed papers: ${node.data.seedPapers.join(', ')}\n`;
-        }
-      }
-      
-      // Skip info
-      if (node.type === 'skip') {
-        if (node.data.reason) {
-          text += `${dataIndent}Reason: ${node.data.reason}\n`;
-        }
-      }
-      
-      // Theme extraction
-      if (node.type === 'themes_extract') {
-        text += `${dataIndent}Paper: ${node.data.paper}\n`;
-        text += `${dataIndent}Parent thread: ${node.data.parentTheme}\n`;
-      }
-      
-      // Themes found
-      if (node.type === 'themes_found') {
-        if (node.data.themes && node.data.themes.length > 0) {
-          text += `${dataIndent}Extracted themes:\n`;
-          node.data.themes.forEach((t, j) => {
-            text += `${dataIndent}  ${j + 1}. ${t}\n`;
-          });
-        }
-      }
-      
-      // Error handling
-      if (node.data.originalResponse) {
-        text += `${dataIndent}=== ORIGINAL LLM RESPONSE (PARSE FAILED) ===\n`;
-        text += node.data.originalResponse + '\n';
-        text += `${dataIndent}=== END ORIGINAL ===\n`;
-      }
-      if (node.data.cleanedAttempt) {
-        text += `${dataIndent}=== CLEANED ATTEMPT ===\n`;
-        text += node.data.cleanedAttempt + '\n';
-        text += `${dataIndent}=== END CLEANED ===\n`;
-      }
-      if (node.data.fullResponse) {
-        text += `${dataIndent}=== FULL LLM RESPONSE (PARSE FAILED) ===\n`;
-        text += node.data.fullResponse + '\n';
-        text += `${dataIndent}=== END LLM RESPONSE ===\n`;
-      }
-      if (node.data.error) {
-        text += `${dataIndent}Error: ${node.data.error}\n`;
-      }
-    }
-  });
-  
+  const text = window.ThroughlineDebugTree.formatDebugTree(tree);
+
   DEBUG.log('Generated debug tree text, length:', text.length);
   
-  // Download as text file
-  const blob = new Blob([text], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'throughline-debug-tree.txt';
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadFile(window.ThroughlineDebugTree.DEBUG_TREE_FILE, text, 'text/plain');
   
   DEBUG.log('Download triggered');
 }
 
 function showTraceScreen() {
-  chrome.storage.local.get(['analysisResults'], async (result) => {
+  chrome.storage.local.get(['analysisResults', 'analysisProgress', 'analysisError'], (result) => {
     // Switch to trace screen
     chrome.storage.local.set({ currentScreen: 'trace' });
     document.getElementById('main-screen').classList.remove('active');
     document.getElementById('trace-screen').classList.add('active');
-    
-    // If results exist, show them
-    if (result.analysisResults) {
-      document.getElementById('progress').style.display = 'none';
-      displayResults(result.analysisResults);
-      return;
-    }
+    showAnalysisState(result);
+  });
+}
 
-    // Otherwise start new analysis
+// The trace screen for the stored analysis state: results, a run in progress, the last error, or the criteria panel
+function showAnalysisState({ analysisResults, analysisProgress, analysisError }) {
+  if (analysisResults) {
+    document.getElementById('progress').style.display = 'none';
+    displayResults(analysisResults);
+  } else if (analysisError) {
+    showAnalysisError(analysisError);
+  } else if (analysisProgress && analysisProgress.percent < 100) {
+    // Analysis in progress - the activity port replays what happened so far
+    document.getElementById('criteria-panel').style.display = 'none';
     document.getElementById('progress').style.display = 'block';
     document.getElementById('results').style.display = 'none';
-    document.getElementById('progress-bar').style.width = '0%';
-    
-    runAnalysis();
+    showProgress(analysisProgress);
+    attachStopButton();
+  } else {
+    // No results and no progress - pick criteria and start
+    showCriteriaPanel();
+  }
+}
+
+// Starting points for the criteria profiles; users edit, replace or delete them
+const STARTER_CRITERIA_PROFILES = {
+  'Lab lineage': 'Follow the labs and authors behind these papers: how each group\'s line of work continued, which methods they carried forward, and what they have published most recently.',
+  'Benchmark progress': 'Trace the state of the art on the benchmarks these papers evaluate on: which methods improved the results over time, and which recent papers claim the best numbers.',
+  'Dataset history': 'Follow the datasets these papers use or introduce: where they came from, who adopted them, and which later datasets extended or replaced them.'
+};
+
+// Criteria editor: the text area is kept as a draft across popup openings; profiles are named criteria
+function initCriteriaEditor() {
+  const select = document.getElementById('criteria-profile');
+  const input = document.getElementById('criteria-input');
+
+  select.addEventListener('change', () => {
+    chrome.storage.local.get(['criteriaProfiles'], (result) => {
+      const profiles = result.criteriaProfiles || {};
+      if (select.value) input.value = profiles[select.value] || '';
+      document.getElementById('delete-profile').disabled = !select.value;
+      chrome.storage.local.set({ criteriaProfile: select.value, criteriaDraft: input.value });
+    });
   });
+
+  input.addEventListener('input', () => {
+    chrome.storage.local.set({ criteriaDraft: input.value });
+  });
+
+  document.getElementById('save-profile').addEventListener('click', () => {
+    const criteria = input.value.trim();
+    if (!criteria) {
+      alert('Write some criteria first.');
+      return;
+    }
+    const name = (prompt('Save these criteria as:', select.value) || '').trim();
+    if (!name) return;
+    chrome.storage.local.get(['criteriaProfiles'], (result) => {
+      const profiles = result.criteriaProfiles || {};
+      if (name in profiles && name !== select.value && !confirm(`Replace the saved "${name}" criteria?`)) return;
+      profiles[name] = criteria;
+      chrome.storage.local.set({ criteriaProfiles: profiles, criteriaProfile: name }, () => {
+        renderCriteriaProfiles(profiles, name);
+        DEBUG.log('Saved criteria profile:', name);
+      });
+    });
+  });
+
+  document.getElementById('delete-profile').addEventListener('click', () => {
+    const name = select.value;
+    if (!name || !confirm(`Delete the "${name}" criteria profile?`)) return;
+    chrome.storage.local.get(['criteriaProfiles'], (result) => {
+      const profiles = result.criteriaProfiles || {};
+      delete profiles[name];
+      chrome.storage.local.set({ criteriaProfiles: profiles, criteriaProfile: '' }, () => {
+        renderCriteriaProfiles(profiles, '');
+      });
+    });
+  });
+
+  document.getElementById('start-analysis-btn').addEventListener('click', () => runAnalysis());
+}
+
+function showCriteriaPanel() {
+  document.getElementById('criteria-panel').style.display = 'block';
+  document.getElementById('progress').style.display = 'none';
+  document.getElementById('results').style.display = 'none';
+
+  chrome.storage.local.get(['criteriaProfiles', 'criteriaProfile', 'criteriaDraft'], (result) => {
+    // First use: offer the starter profiles
+    const profiles = result.criteriaProfiles || { ...STARTER_CRITERIA_PROFILES };
+    if (!result.criteriaProfiles) chrome.storage.local.set({ criteriaProfiles: profiles });
+    const selected = result.criteriaProfile || '';
+    renderCriteriaProfiles(profiles, selected);
+    document.getElementById('criteria-input').value = result.criteriaDraft ?? (profiles[selected] || '');
+  });
+}
+
+function renderCriteriaProfiles(profiles, selected) {
+  const select = document.getElementById('criteria-profile');
+  select.innerHTML = '';
+  select.appendChild(new Option('Custom criteria', ''));
+  Object.keys(profiles).sort().forEach(name => select.appendChild(new Option(name, name)));
+  select.value = selected in profiles ? selected : '';
+  document.getElementById('delete-profile').disabled = !select.value;
 }
 
 function restartAnalysis() {
@@ -496,14 +337,9 @@ function restartAnalysis() {
 }
 
 function showMainScreen() {
-  // Stop polling if active
-  if (window.pollInterval) {
-    clearInterval(window.pollInterval);
-    window.pollInterval = null;
-  }
-  
   chrome.storage.local.set({ currentScreen: 'main' });
   document.getElementById('trace-screen').classList.remove('active');
+  document.getElementById('history-screen').classList.remove('active');
   document.getElementById('main-screen').classList.add('active');
 }
 
@@ -514,6 +350,10 @@ async function runAnalysis() {
   const results = document.getElementById('results');
   const notice = document.getElementById('analysis-notice');
   
+  const criteria = document.getElementById('criteria-input').value.trim();
+
+  document.getElementById('criteria-panel').style.display = 'none';
+  document.getElementById('progress-bar').style.width = '0%';
   progress.style.display = 'block';
   results.style.display = 'none';
   if (notice) notice.style.display = 'none';
@@ -523,39 +363,26 @@ async function runAnalysis() {
     const papers = result.throughline || [];
 
     DEBUG.log('Papers to analyze:', papers.length);
+    DEBUG.log('Criteria:', criteria ? `${criteria.length} chars` : '(none)');
 
     if (papers.length === 0) {
       document.getElementById('progress-text').textContent = 'No papers to analyze';
       return;
     }
 
+    // Progress, activity and the outcome arrive over the activity port; until the background announces the
+    // new run, anything it sends belongs to the previous one
+    waitingForRunStart = true;
+    clearActivityFeed();
+    if (!activityPort) connectActivity();
+
     // Start analysis in background
     DEBUG.log('Sending startAnalysis message to background...');
-    chrome.runtime.sendMessage({ action: 'startAnalysis', papers: papers }, (response) => {
+    chrome.runtime.sendMessage({ action: 'startAnalysis', papers: papers, criteria }, (response) => {
       DEBUG.log('startAnalysis response:', response);
     });
 
-    // Poll for progress updates
-    DEBUG.log('Starting progress polling...');
-    startProgressPolling();
-    
-    // Add stop button handler
-    const stopBtn = document.getElementById('stop-btn');
-    if (stopBtn) {
-      // Reset button state
-      stopBtn.disabled = false;
-      stopBtn.textContent = '⏹ Stop';
-      stopBtn.style.background = '#ef4444';
-      
-      stopBtn.onclick = () => {
-        chrome.runtime.sendMessage({ action: 'stopAnalysis' });
-        chrome.storage.local.set({ analysisShouldStop: true });
-        
-        stopBtn.disabled = true;
-        stopBtn.textContent = '⏹ Stopping...';
-        stopBtn.style.background = '#9ca3af';
-      };
-    }
+    attachStopButton();
   } catch (error) {
     progress.style.display = 'none';
     if (notice) notice.style.display = 'none';
@@ -564,100 +391,286 @@ async function runAnalysis() {
   }
 }
 
-// Poll for analysis status
-function startProgressPolling() {
-  DEBUG.log('Starting polling...');
-  const pollInterval = setInterval(() => {
-    chrome.runtime.sendMessage({ action: 'getAnalysisStatus' }, (response) => {
-      if (!response) {
-        DEBUG.warn('No response from background');
-        return;
-      }
-
-      // Update UI with progress
-      if (response.progress) {
-        document.getElementById('progress-text').textContent = response.progress.message;
-        document.getElementById('progress-detail').textContent = response.progress.detail;
-        document.getElementById('progress-bar').style.width = response.progress.percent + '%';
-        
-        // Update threads display
-        updateThreadsDisplay(response.progress.threads || []);
-      }
+function attachStopButton() {
+  const stopBtn = document.getElementById('stop-btn');
+  if (!stopBtn) return;
+  // Reset button state
+  stopBtn.disabled = false;
+  stopBtn.textContent = '⏹ Stop';
+  stopBtn.style.background = '#ef4444';
+  
+  stopBtn.onclick = () => {
+    chrome.runtime.sendMessage({ action: 'stopAnalysis' });
+    chrome.storage.local.set({ analysisShouldStop: true });
+    
+    stopBtn.disabled = true;
+    stopBtn.textContent = '⏹ Stopping...';
+    stopBtn.style.background = '#9ca3af';
+  };
+}
 
-      // Check if complete
-      if (response.results) {
-        DEBUG.log('Analysis complete! Results:', response.results.length, 'threads');
-        clearInterval(pollInterval);
-        document.getElementById('progress').style.display = 'none';
-        displayResults(response.results);
-      }
+function showProgress(progress) {
+  document.getElementById('progress-text').textContent = progress.message;
+  document.getElementById('progress-detail').textContent = progress.detail;
+  document.getElementById('progress-bar').style.width = progress.percent + '%';
+  
+  // Update threads display
+  updateThreadsDisplay(progress.threads || []);
+}
 
-      // Check if error
-      if (response.error) {
-        DEBUG.error('Analysis error:', response.error);
-        clearInterval(pollInterval);
-        document.getElementById('progress').style.display = 'none';
-        
-        const isStopped = response.error.includes('stopped by user');
-        
-        // Show error/stopped message with debug tree download option
-        const results = document.getElementById('results');
-        results.innerHTML = `
-          <div style="background: ${isStopped ? '#fffbeb' : '#fef2f2'}; border: 1px solid ${isStopped ? '#fde68a' : '#fecaca'}; border-radius: 6px; padding: 16px; margin-bottom: 12px;">
-            <div style="display: flex; justify-content: space-between; align-items: start;">
-              <div>
-                <h3 style="font-size: 14px; color: ${isStopped ? '#92400e' : '#991b1b'}; margin: 0 0 8px 0;">${isStopped ? '⏹ Analysis Stopped' : '⚠️ Analysis Failed'}</h3>
-                <p style="font-size: 12px; color: ${isStopped ? '#78350f' : '#7f1d1d'}; margin: 0;">${isStopped ? 'Analysis was stopped by user. Partial results may be available in the debug tree.' : response.error}</p>
-              </div>
-              <button id="debug-tree-btn" style="background: #10b981; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px; white-space: nowrap;">📊 Download Debug Tree</button>
-            </div>
-          </div>
-        `;
-        results.style.display = 'block';
-        
-        // Add debug tree download handler
-        const debugTreeBtn = document.getElementById('debug-tree-btn');
-        if (debugTreeBtn) {
-          debugTreeBtn.addEventListener('click', () => {
-            DEBUG.log('Debug tree button clicked (error state)');
-            chrome.storage.local.get(['analysisDebugTree'], (result) => {
-              DEBUG.log('Got analysisDebugTree from storage:', result.analysisDebugTree ? result.analysisDebugTree.length + ' nodes' : 'null/undefined');
-              
-              if (result.analysisDebugTree && result.analysisDebugTree.length > 0) {
-                downloadDebugTree(result.analysisDebugTree);
-              } else {
-                alert('No debug tree data available. Analysis may have failed before any operations were logged.');
-              }
-            });
-          });
-        }
-      }
+function showAnalysisError(error) {
+  DEBUG.error('Analysis error:', error);
+  document.getElementById('criteria-panel').style.display = 'none';
+  document.getElementById('progress').style.display = 'none';
+  
+  const isStopped = error.includes('stopped by user');
+  
+  // Show error/stopped message with debug tree download option
+  const results = document.getElementById('results');
+  results.innerHTML = `
+    <div style="background: ${isStopped ? '#fffbeb' : '#fef2f2'}; border: 1px solid ${isStopped ? '#fde68a' : '#fecaca'}; border-radius: 6px; padding: 16px; margin-bottom: 12px;">
+      <div style="display: flex; justify-content: space-between; align-items: start;">
+        <div>
+          <h3 style="font-size: 14px; color: ${isStopped ? '#92400e' : '#991b1b'}; margin: 0 0 8px 0;">${isStopped ? '⏹ Analysis Stopped' : '⚠️ Analysis Failed'}</h3>
+          <p style="font-size: 12px; color: ${isStopped ? '#78350f' : '#7f1d1d'}; margin: 0;">${isStopped ? 'Analysis was stopped by user. Partial results may be available in the debug tree.' : escapeHtml(error)}</p>
+        </div>
+        <div style="display: flex; flex-direction: column; gap: 6px;">
+          <button id="debug-tree-btn" style="background: #10b981; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px; white-space: nowrap;">📊 Download Debug Tree</button>
+          <button id="rerun-btn" style="background: #6366f1; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px; white-space: nowrap;">🔄 Re-run Analysis</button>
+        </div>
+      </div>
+    </div>
+  `;
+  results.style.display = 'block';
+  
+  // Add debug tree download handler
+  document.getElementById('debug-tree-btn').addEventListener('click', () => {
+    DEBUG.log('Debug tree button clicked (error state)');
+    chrome.storage.local.get(['analysisDebugTree'], (result) => {
+      DEBUG.log('Got analysisDebugTree from storage:', result.analysisDebugTree ? result.analysisDebugTree.length + ' nodes' : 'null/undefined');
+      downloadDebugTree(result.analysisDebugTree);
     });
-  }, 500); // Poll every 500ms
-
-  // Store interval ID so we can clear it when navigating away
-  window.pollInterval = pollInterval;
-}
-
-// Poll for background logs
-function startDebugLogPolling() {
-  setInterval(() => {
-    chrome.storage.local.get(['debugLogs'], (result) => {
-      if (result.debugLogs && result.debugLogs.length > 0) {
-        result.debugLogs.forEach(log => {
-          const color = log.level === 'ERROR' ? '#f48771' : log.level === 'WARN' ? '#dcdcaa' : '#4ec9b0';
-          const logEntry = `<div style="margin-bottom: 4px;"><span style="color: #808080;">[${log.time}]</span> <span style="color: ${color};">[BG-${log.level}]</span> ${DEBUG.escapeHtml(log.message)}</div>`;
-          const logsDiv = document.getElementById('debug-logs');
-          if (logsDiv) {
-            logsDiv.innerHTML += logEntry;
-            logsDiv.scrollTop = logsDiv.scrollHeight;
-          }
-        });
-        // Clear processed logs
-        chrome.storage.local.set({ debugLogs: [] });
-      }
+  });
+  document.getElementById('rerun-btn').addEventListener('click', restartAnalysis);
+}
+
+// Activity port (see background.js): log lines for the debug panel, analyzer events for the feed, progress,
+// and the run's outcome. On connect the background replays everything since the current run started.
+let activityPort = null;
+let waitingForRunStart = false;
+
+function connectActivity() {
+  activityPort = chrome.runtime.connect({ name: 'activity' });
+  activityPort.onMessage.addListener(handleActivityMessage);
+  activityPort.onDisconnect.addListener(() => {
+    // The service worker went idle or restarted; runAnalysis reconnects
+    activityPort = null;
+  });
+}
+
+const progressShown = () => document.getElementById('progress').style.display !== 'none';
+
+function handleActivityMessage(message) {
+  switch (message.type) {
+    case 'backlog':
+      message.messages.forEach(handleActivityMessage);
+      break;
+    case 'log':
+      appendBackgroundLog(message);
+      break;
+    case 'start':
+      waitingForRunStart = false;
+      clearActivityFeed();
+      break;
+    case 'event':
+      if (!waitingForRunStart) addActivity(message.event);
+      break;
+    case 'progress':
+      if (!waitingForRunStart && progressShown()) showProgress(message.progress);
+      break;
+    case 'complete':
+      if (waitingForRunStart || !progressShown()) break;
+      DEBUG.log('Analysis complete! Results:', message.results.length, 'threads');
+      document.getElementById('progress').style.display = 'none';
+      displayResults(message.results);
+      break;
+    case 'failed':
+      if (!waitingForRunStart && progressShown()) showAnalysisError(message.error);
+      break;
+  }
+}
+
+function appendBackgroundLog(log) {
+  const color = log.level === 'ERROR' ? '#f48771' : log.level === 'WARN' ? '#dcdcaa' : '#4ec9b0';
+  const logEntry = `<div style="margin-bottom: 4px;"><span style="color: #808080;">[${log.time}]</span> <span style="color: ${color};">[BG-${log.level}]</span> ${DEBUG.escapeHtml(log.message)}</div>`;
+  const logsDiv = document.getElementById('debug-logs');
+  if (logsDiv) {
+    logsDiv.innerHTML += logEntry;
+    logsDiv.scrollTop = logsDiv.scrollHeight;
+  }
+}
+
+// Live activity feed: the analyzer's events, one line each, with what the CLI's coloured log shows —
+// the agent's text, tool calls and rationales, reader verdicts, track and primer edits. Filterable by kind
+// and by text; the filters are kept in chrome.storage.
+const ACTIVITY_KINDS = {
+  agent: 'Agent',
+  tools: 'Tool calls',
+  reader: 'Reader',
+  tracks: 'Tracks',
+  primer: 'Primer',
+  calls: 'LLM & API'
+};
+const ACTIVITY_MAX_ITEMS = 2000;
+let activityItems = [];
+let activityFilters = { kinds: { agent: true, tools: true, reader: true, tracks: true, primer: true, calls: false }, text: '' };
+
+function initActivityFeed() {
+  const tabs = document.querySelectorAll('#progress-tabs button');
+  tabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      tabs.forEach(t => t.classList.toggle('active', t === tab));
+      document.getElementById('progress-activity').style.display = tab.dataset.tab === 'activity' ? 'block' : 'none';
+      document.getElementById('progress-threads').style.display = tab.dataset.tab === 'tracks' ? 'block' : 'none';
     });
-  }, 500);
+  });
+
+  const filters = document.getElementById('activity-filters');
+  filters.innerHTML = Object.entries(ACTIVITY_KINDS).map(([kind, label]) => `
+    <label><input type="checkbox" data-kind="${kind}" ${activityFilters.kinds[kind] ? 'checked' : ''}> ${label}</label>
+  `).join('') + '<input type="search" id="activity-search" placeholder="Filter…">';
+
+  chrome.storage.local.get(['activityFilters'], (result) => {
+    if (result.activityFilters) activityFilters = { kinds: { ...activityFilters.kinds, ...result.activityFilters.kinds }, text: '' };
+    filters.querySelectorAll('[data-kind]').forEach(box => { box.checked = !!activityFilters.kinds[box.dataset.kind]; });
+    renderActivityFeed();
+  });
+
+  filters.addEventListener('change', (e) => {
+    if (!e.target.dataset.kind) return;
+    activityFilters.kinds[e.target.dataset.kind] = e.target.checked;
+    chrome.storage.local.set({ activityFilters: { kinds: activityFilters.kinds } });
+    renderActivityFeed();
+  });
+  document.getElementById('activity-search').addEventListener('input', (e) => {
+    activityFilters.text = e.target.value.trim().toLowerCase();
+    renderActivityFeed();
+  });
+}
+
+function clearActivityFeed() {
+  activityItems = [];
+  renderActivityFeed();
+}
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// An event → { kind, className, html } for the feed, or null for events the feed leaves out. Iteration
+// headers have no kind and always show.
+function formatActivity(event) {
+  const e = escapeHtml;
+  const dim = (s) => `<span class="activity-dim">${s}</span>`;
+  switch (event.type) {
+    case 'run:start':
+      return { kind: 'agent', html: `▶ Run started — ${event.seeds.length} seed${event.seeds.length === 1 ? '' : 's'}${event.resumedFrom ? `, resumed after iteration ${event.resumedFrom}` : ''}` };
+    case 'iteration:start':
+      return { kind: null, className: 'activity-iteration', html: `┌─ Iteration ${event.iteration} ${dim(`(${event.tracks} tracks, ${event.papers} papers)`)}` };
+    case 'agent:message':
+      return {
+        kind: 'agent',
+        html: [
+          ...event.reasoning.map(r => `💭 ${dim(e(r))}`),
+          event.content ? e(event.content) : ''
+        ].filter(Boolean).join('<br>')
+      };
+    case 'tool:start':
+      return {
+        kind: 'tools',
+        className: 'activity-tool',
+        html: `▶ ${e(event.tool)}(${e(event.argSummary || '')})${event.args?.focus ? dim(` focus: "${e(event.args.focus)}"`) : ''}` +
+          (event.args?.rationale ? `<br>${dim(e(event.args.rationale))}` : '')
+      };
+    case 'tool:result':
+      if (event.error) return { kind: 'tools', className: 'activity-error', html: `✗ ${e(event.tool)}: ${e(event.error)}` };
+      if (event.result?.duplicate) return { kind: 'tools', html: dim(`↺ ${e(event.tool)}: same call as iteration ${event.result.earlier?.iteration ?? '?'}`) };
+      if (event.tool === 'explore' && event.result?.summary) return { kind: 'tools', html: `↳ explore report ${dim(formatSeconds(event.durationMs))}<br>${e(event.result.summary)}` };
+      return null;
+    case 'reader:result':
+      return {
+        kind: 'reader',
+        html: `📖 Reader: ${event.selected} selected, ${event.borderline} borderline of ${event.total}${event.cached ? ' (cached)' : ''} ${dim(e(event.source || ''))}` +
+          (event.summary ? `<br>${dim(e(event.summary))}` : '')
+      };
+    case 'reader:verdict':
+      return {
+        kind: 'reader',
+        className: event.verdict === 'selected' ? 'activity-selected' : 'activity-borderline',
+        html: `${event.verdict === 'selected' ? '✓' : '~'} ${e(event.title)} (${event.year || 'n.d.'})${event.note ? ` ${dim('— ' + e(event.note))}` : ''}`
+      };
+    case 'track:created':
+      return { kind: 'tracks', className: 'activity-track', html: `★ New track [${event.trackIndex}]: "${e(event.theme)}"` };
+    case 'track:renamed':
+      return { kind: 'tracks', className: 'activity-track', html: `✎ Track [${event.trackIndex}]: "${e(event.oldTheme)}" → "${e(event.theme)}"` };
+    case 'track:deleted':
+      return { kind: 'tracks', className: 'activity-track', html: `✗ Track [${event.trackIndex}] deleted: "${e(event.theme)}" ${dim(`(${event.papersReturned.length} papers returned to the pool)`)}` };
+    case 'paper:added':
+      return { kind: 'tracks', className: 'activity-track', html: `+ [${event.trackIndex}] ${e(event.paper.title)} (${event.paper.year || 'n.d.'})${event.reason ? `<br>${dim(e(event.reason))}` : ''}` };
+    case 'paper:removed':
+      return { kind: 'tracks', className: 'activity-track', html: `− [${event.trackIndex}] ${e(event.paper.title)} (${event.paper.year || 'n.d.'})` };
+    case 'primer:changed': {
+      const preview = event.content.length > 240 ? event.content.slice(0, 240) + '…' : event.content;
+      return { kind: 'primer', html: `📝 Primer ${event.action === 'append' ? 'append' : 'update'} ${dim(`(now ${event.primerLength} chars)`)}<br>${dim(e(preview))}` };
+    }
+    case 'llm:call': {
+      const tokens = event.tokens ? `, ${event.tokens.in.toLocaleString()} in / ${event.tokens.out.toLocaleString()} out` : '';
+      return { kind: 'calls', className: event.status === 200 ? '' : 'activity-error', html: dim(`LLM ${e(event.role)} ${e(event.model || '')} — ${event.status}, ${formatSeconds(event.durationMs)}${tokens}`) };
+    }
+    case 'ss:request':
+      return { kind: 'calls', className: event.status && event.status !== 200 ? 'activity-error' : '', html: dim(`SS ${e(event.context || '')} — ${event.status ?? 'failed'}, ${event.cache === 'hit' ? 'cache hit' : formatSeconds(event.durationMs)}`) };
+    case 'done':
+      return { kind: 'agent', html: `✔ Agent finished${event.summary ? `: ${e(event.summary)}` : ''}` };
+    case 'run:end':
+      return { kind: 'agent', html: `■ Run ended — ${event.tracks.length} tracks${event.budgetStop ? `, stopped at the ${e(event.budgetStop)} budget` : ''}${event.agentError ? `, agent error: ${e(event.agentError)}` : ''}` };
+    default:
+      return null;
+  }
+}
+
+function addActivity(event) {
+  const item = formatActivity(event);
+  if (!item) return;
+  // Subagent events are indented under their explore call
+  if (event.explore) item.html = `<span class="activity-dim">[explore: ${escapeHtml(event.explore.goal)}]</span> ${item.html}`;
+  item.explore = !!event.explore;
+  item.text = item.html.replace(/<[^>]+>/g, ' ').toLowerCase();
+  activityItems.push(item);
+  if (activityItems.length > ACTIVITY_MAX_ITEMS) activityItems.shift();
+
+  const feed = document.getElementById('activity-feed');
+  if (!feed || !activityVisible(item)) return;
+  const wasAtBottom = feed.scrollHeight - feed.scrollTop <= feed.clientHeight + 50;
+  feed.querySelector('.activity-empty')?.remove();
+  feed.insertAdjacentHTML('beforeend', renderActivityItem(item));
+  if (wasAtBottom) feed.scrollTop = feed.scrollHeight;
+}
+
+function activityVisible(item) {
+  if (item.kind && !activityFilters.kinds[item.kind]) return false;
+  return !activityFilters.text || item.text.includes(activityFilters.text);
+}
+
+function renderActivityItem(item) {
+  return `<div class="activity-item ${item.className || ''}${item.explore ? ' activity-explore' : ''}">${item.html}</div>`;
+}
+
+function renderActivityFeed() {
+  const feed = document.getElementById('activity-feed');
+  if (!feed) return;
+  const visible = activityItems.filter(activityVisible);
+  feed.innerHTML = visible.length > 0
+    ? visible.map(renderActivityItem).join('')
+    : '<div class="activity-dim activity-empty">No activity yet.</div>';
+  feed.scrollTop = feed.scrollHeight;
 }
 
 // Load trace screen with papers
@@ -670,9 +683,11 @@ function renderThread(thread) {
   return `
     <div style="background: white; border: 1px solid #e5e7eb; border-radius: 6px; padding: 16px; margin-bottom: 12px;">
       <div style="font-weight: 600; margin-bottom: 8px;">${escapeHtml(thread.theme)}</div>
-      <div style="font-size: 12px; color: #666; margin-bottom: 12px;">
-        From: ${escapeHtml(thread.spawnPaper.title)} (${thread.spawnYear})
-      </div>
+      ${thread.spawnPaper ? `
+        <div style="font-size: 12px; color: #666; margin-bottom: 12px;">
+          From: ${escapeHtml(thread.spawnPaper.title)} (${thread.spawnYear || '?'})
+        </div>
+      ` : '<div style="font-size: 12px; color: #9ca3af; margin-bottom: 12px;">No papers yet</div>'}
       ${thread.papers.map((p, idx) => `
         <div style="font-size: 12px; padding: 8px; background: #f9fafb; margin: 4px 0; border-radius: 4px;">
           <div style="margin-bottom: 4px;">
@@ -718,24 +733,36 @@ function updateThreadsDisplay(threads) {
 
 function displayResults(threads) {
   const results = document.getElementById('results');
+  document.getElementById('criteria-panel').style.display = 'none';
   
-  if (threads.length === 0) {
-    results.innerHTML = '<p style="text-align: center; color: #666;">No threads found</p>';
-    results.style.display = 'block';
-    return;
-  }
-
   results.innerHTML = `
-    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
-      <h3 style="font-size: 14px; color: #374151; margin: 0;">Found ${threads.length} thread${threads.length > 1 ? 's' : ''}</h3>
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+      <h3 style="font-size: 14px; color: #374151; margin: 0;">Found ${threads.length} thread${threads.length === 1 ? '' : 's'}</h3>
       <div style="display: flex; gap: 8px;">
         <button id="debug-tree-btn" style="background: #10b981; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px;">📊 Download Debug Tree</button>
         <button id="rerun-btn" style="background: #6366f1; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 11px;">🔄 Re-run Analysis</button>
       </div>
     </div>
-  ` + threads.map(thread => renderThread(thread)).join('');
+    <div id="results-exports"></div>
+    <div class="results-tabs">
+      <button data-tab="tracks" class="active">Tracks (${threads.length})</button>
+      <button data-tab="primer">Primer</button>
+    </div>
+    <div id="results-tracks">
+      ${threads.length > 0 ? threads.map(thread => renderThread(thread)).join('') : '<p style="text-align: center; color: #666;">No threads found</p>'}
+    </div>
+    <div id="results-primer" style="display: none;"></div>
+  `;
   
   results.style.display = 'block';
+
+  results.querySelectorAll('.results-tabs button').forEach(tab => {
+    tab.addEventListener('click', () => {
+      results.querySelectorAll('.results-tabs button').forEach(t => t.classList.toggle('active', t === tab));
+      document.getElementById('results-tracks').style.display = tab.dataset.tab === 'tracks' ? 'block' : 'none';
+      document.getElementById('results-primer').style.display = tab.dataset.tab === 'primer' ? 'block' : 'none';
+    });
+  });
   
   // Add debug tree download handler
   const debugTreeBtn = document.getElementById('debug-tree-btn');
@@ -756,4 +783,290 @@ function displayResults(threads) {
   if (rerunBtn) {
     rerunBtn.addEventListener('click', restartAnalysis);
   }
+
+  // The primer the agent wrote alongside the tracks, and the downloads
+  currentRun().then(run => {
+    document.getElementById('results-primer').innerHTML = run.primer
+      ? renderPrimer(run.primer)
+      : '<p style="text-align: center; color: #666;">The agent wrote no primer in this run.</p>';
+    renderExportBar(document.getElementById('results-exports'), run);
+  });
+}
+
+// The latest run: its history entry if it was saved, else what the current-result keys hold
+async function currentRun() {
+  const { HISTORY_KEY } = window.ThroughlineRunHistory;
+  const stored = await chrome.storage.local.get(['analysisRunId', HISTORY_KEY, 'analysisResults', 'analysisPrimer', 'analysisCriteria']);
+  const saved = (stored[HISTORY_KEY] || []).find(r => r.id === stored.analysisRunId);
+  return saved || {
+    createdAt: new Date().toISOString(),
+    seeds: [],
+    criteria: stored.analysisCriteria || '',
+    threads: stored.analysisResults || [],
+    primer: stored.analysisPrimer || '',
+    stats: null
+  };
+}
+
+// The primer's markdown as HTML (src/report.js); links open in a tab rather than inside the popup
+function renderPrimer(primer) {
+  const html = window.ThroughlineReport.markdownToHtml(primer).replace(/<a href=/g, '<a target="_blank" href=');
+  return `<div class="primer-view">${html}</div>`;
+}
+
+// A run in the shape of the CLI's throughline-results.json, which the report and bibliography modules read
+function runResultsJson(run) {
+  return {
+    success: true,
+    threads: run.threads,
+    primer: run.primer || '',
+    criteria: run.criteria || null,
+    seeds: run.seeds.map(s => ({ paperId: s.paperId, title: s.title, year: s.year })),
+    stats: run.stats || null,
+    createdAt: run.createdAt
+  };
+}
+
+// Results JSON, primer markdown and bibliography downloads, named like the CLI's output files
+function renderExportBar(container, run) {
+  const { BIBLIOGRAPHY_FORMATS } = window.ThroughlineBibliography;
+  container.innerHTML = `
+    <div class="export-bar">
+      <span>Download:</span>
+      <button data-export="json">Results JSON</button>
+      <button data-export="primer" ${run.primer ? '' : 'disabled'}>Primer (.md)</button>
+      <select data-export="bibliography">
+        <option value="">Bibliography…</option>
+        <option value="bib">BibTeX (${BIBLIOGRAPHY_FORMATS.bib.extension})</option>
+        <option value="ris">RIS (${BIBLIOGRAPHY_FORMATS.ris.extension})</option>
+        <option value="csl">CSL-JSON (${BIBLIOGRAPHY_FORMATS.csl.extension})</option>
+      </select>
+    </div>
+  `;
+  container.querySelector('[data-export="json"]').addEventListener('click', () => {
+    downloadFile('throughline-results.json', JSON.stringify(runResultsJson(run), null, 2), 'application/json');
+  });
+  container.querySelector('[data-export="primer"]').addEventListener('click', () => {
+    downloadFile('throughline-primer.md', run.primer, 'text/markdown');
+  });
+  const bibliography = container.querySelector('[data-export="bibliography"]');
+  bibliography.addEventListener('change', () => {
+    const format = BIBLIOGRAPHY_FORMATS[bibliography.value];
+    bibliography.value = '';
+    if (!format) return;
+    const entries = window.ThroughlineBibliography.bibliographyEntries(runResultsJson(run));
+    downloadFile(`throughline${format.extension}`, format.render(entries), 'text/plain');
+    DEBUG.log('Bibliography exported:', entries.length, 'papers');
+  });
+}
+
+// Run history: background.js stores every finished run (src/run-history.js). The screen shows the list, one
+// run, or two runs compared; buttons carry data-action / data-id and are handled by handleHistoryClick.
+const historyCompare = new Set();
+
+function showHistoryScreen() {
+  chrome.storage.local.set({ currentScreen: 'history' });
+  document.getElementById('main-screen').classList.remove('active');
+  document.getElementById('trace-screen').classList.remove('active');
+  document.getElementById('history-screen').classList.add('active');
+  renderHistory();
+}
+
+async function loadHistory() {
+  const { HISTORY_KEY } = window.ThroughlineRunHistory;
+  const stored = await chrome.storage.local.get([HISTORY_KEY]);
+  return stored[HISTORY_KEY] || [];
+}
+
+async function saveHistory(runs) {
+  await chrome.storage.local.set({ [window.ThroughlineRunHistory.HISTORY_KEY]: runs });
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Badge for a run that did not finish; older entries have no status
+function runStatusBadge(run) {
+  if (run.status === 'stopped') return '<span class="history-badge">⏹ stopped</span>';
+  if (run.status === 'failed') return `<span class="history-badge" title="${escapeHtml(run.error || '')}">⚠ failed</span>`;
+  return '';
+}
+
+function runSummary(run) {
+  const papers = (run.threads || []).reduce((n, t) => n + (t.papers || []).length, 0);
+  const cost = run.stats?.estimatedCost != null ? ` · ~$${run.stats.estimatedCost.toFixed(2)}` : '';
+  return `${new Date(run.createdAt).toLocaleString()} · ${run.seeds.length} seed${run.seeds.length === 1 ? '' : 's'} · ${run.threads.length} tracks, ${papers} papers${cost}`;
+}
+
+async function renderHistory() {
+  const { HISTORY_LIMITS, historySize } = window.ThroughlineRunHistory;
+  const content = document.getElementById('history-content');
+  const runs = await loadHistory();
+  const stored = await chrome.storage.local.get(['historyPruned', 'analysisRunId']);
+  const pruned = stored.historyPruned || [];
+  const used = historySize(runs);
+  const storageUsed = await chrome.storage.local.getBytesInUse(null);
+
+  // Selections for runs deleted since
+  for (const id of historyCompare) if (!runs.some(r => r.id === id)) historyCompare.delete(id);
+
+  const nearLimit = used > HISTORY_LIMITS.maxBytes * 0.8 || runs.length >= HISTORY_LIMITS.maxRuns - 1;
+  let html = `
+    <div class="history-usage">
+      ${runs.length} of ${HISTORY_LIMITS.maxRuns} runs · ${formatBytes(used)} of ${formatBytes(HISTORY_LIMITS.maxBytes)}
+      · extension storage ${formatBytes(storageUsed)} of ${formatBytes(chrome.storage.local.QUOTA_BYTES)}
+    </div>
+  `;
+  if (nearLimit) {
+    html += `<div class="history-notice">The history is nearly full. When a new run doesn't fit, the oldest runs lose their debug trees first, then unpinned runs are removed. Pin the runs you want to keep, or export them.</div>`;
+  }
+  if (pruned.length > 0) {
+    html += `
+      <div class="history-notice">
+        Pruned to make room for newer runs:
+        <ul>${pruned.map(p => `<li>${p.dropped === 'run' ? 'Removed' : 'Debug tree dropped from'} “${escapeHtml(p.name)}” (${new Date(p.createdAt).toLocaleDateString()})</li>`).join('')}</ul>
+        <button data-action="dismiss-pruned">Dismiss</button>
+      </div>
+    `;
+  }
+
+  if (runs.length === 0) {
+    content.innerHTML = html + '<p style="text-align: center; color: #666; font-size: 13px;">No runs yet. Finished analyses appear here.</p>';
+    return;
+  }
+
+  html += `
+    <div class="history-toolbar">
+      <button data-action="export-all">⬇ Export all</button>
+      <button data-action="compare" ${historyCompare.size === 2 ? '' : 'disabled'}>Compare selected (${historyCompare.size}/2)</button>
+    </div>
+  `;
+  html += runs.map(run => `
+    <div class="history-run">
+      <div class="history-run-name">
+        <input type="checkbox" data-action="select" data-id="${run.id}" ${historyCompare.has(run.id) ? 'checked' : ''} title="Select to compare">
+        <span>${escapeHtml(run.name)}</span>
+        ${runStatusBadge(run)}
+        ${run.pinned ? '<span class="history-badge">📌 pinned</span>' : ''}
+        ${run.id === stored.analysisRunId ? '<span class="history-badge">latest</span>' : ''}
+      </div>
+      <div class="history-run-meta">${runSummary(run)}</div>
+      ${run.criteria ? `<div class="history-run-criteria">${escapeHtml(run.criteria)}</div>` : ''}
+      <div class="history-run-actions">
+        <button data-action="open" data-id="${run.id}">Open</button>
+        <button data-action="rename" data-id="${run.id}">Rename</button>
+        <button data-action="pin" data-id="${run.id}">${run.pinned ? 'Unpin' : 'Pin'}</button>
+        <button data-action="export" data-id="${run.id}">Export</button>
+        <button data-action="delete" data-id="${run.id}">Delete</button>
+      </div>
+    </div>
+  `).join('');
+  content.innerHTML = html;
+}
+
+function renderHistoryRun(run) {
+  const content = document.getElementById('history-content');
+  content.innerHTML = `
+    <div class="history-toolbar">
+      <button data-action="list">← All runs</button>
+      ${run.debugTree?.length ? `<button data-action="debug-tree" data-id="${run.id}">📊 Debug tree</button>` : ''}
+    </div>
+    <h3 style="font-size: 14px; color: #111827; margin-bottom: 4px;">${escapeHtml(run.name)} ${runStatusBadge(run)}</h3>
+    <div class="history-run-meta" style="margin-bottom: 8px;">${runSummary(run)}</div>
+    ${run.status === 'stopped' || run.status === 'failed' ? `<div class="history-notice">${run.status === 'stopped' ? 'Stopped by the user' : `Failed: ${escapeHtml(run.error || 'unknown error')}`} — these are the tracks and primer the run had reached.</div>` : ''}
+    ${run.criteria ? `<div style="font-size: 12px; color: #374151; white-space: pre-wrap; margin-bottom: 8px;"><strong>Criteria:</strong> ${escapeHtml(run.criteria)}</div>` : ''}
+    <details style="font-size: 12px; color: #374151; margin-bottom: 12px;">
+      <summary style="cursor: pointer;">Seeds (${run.seeds.length})</summary>
+      ${run.seeds.map(s => `<div style="padding: 2px 0 2px 12px;">${escapeHtml(s.title || s.paperId || '')}${s.year ? ` (${s.year})` : ''}</div>`).join('')}
+    </details>
+    <div id="history-run-exports"></div>
+    ${run.threads.length > 0 ? run.threads.map(thread => renderThread(thread)).join('') : '<p style="text-align: center; color: #666;">No threads found</p>'}
+    ${run.primer ? `<div class="criteria-label" style="margin-top: 16px;">Research primer</div>${renderPrimer(run.primer)}` : ''}
+  `;
+  renderExportBar(document.getElementById('history-run-exports'), run);
+}
+
+function renderHistoryComparison(a, b) {
+  const { shared, onlyA, onlyB } = window.ThroughlineRunHistory.compareRuns(a, b);
+  const paperLine = (paper, theme) => `<div>${paper.year ? `<strong>${paper.year}</strong> ` : ''}${escapeHtml(paper.title)}${theme ? ` <span style="color: #6b7280;">— ${escapeHtml(theme)}</span>` : ''}</div>`;
+  const section = (title, items) => `
+    <div class="criteria-label" style="margin-top: 12px;">${title} (${items.length})</div>
+    <div class="history-compare-list">${items.join('') || '<div style="color: #9ca3af;">None</div>'}</div>
+  `;
+  document.getElementById('history-content').innerHTML = `
+    <div class="history-toolbar">
+      <button data-action="list">← All runs</button>
+    </div>
+    <div style="font-size: 12px; color: #374151;">
+      <div><strong>A:</strong> ${escapeHtml(a.name)} <span style="color: #6b7280;">(${new Date(a.createdAt).toLocaleString()}, ${a.threads.length} tracks)</span></div>
+      <div><strong>B:</strong> ${escapeHtml(b.name)} <span style="color: #6b7280;">(${new Date(b.createdAt).toLocaleString()}, ${b.threads.length} tracks)</span></div>
+    </div>
+    ${section('In both', shared.map(s => paperLine(s.paper, s.themeA === s.themeB ? s.themeA : `${s.themeA} / ${s.themeB}`)))}
+    ${section('Only in A', onlyA.map(x => paperLine(x.paper, x.theme)))}
+    ${section('Only in B', onlyB.map(x => paperLine(x.paper, x.theme)))}
+  `;
+}
+
+function downloadFile(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function handleHistoryClick(e) {
+  const target = e.target.closest('[data-action]');
+  if (!target) return;
+  const runs = await loadHistory();
+  const run = runs.find(r => r.id === target.dataset.id);
+  const date = new Date().toISOString().slice(0, 10);
+  // Run deleted in the meantime (another popup, or pruned by a finishing run)
+  if (target.dataset.id && !run) return renderHistory();
+
+  switch (target.dataset.action) {
+    case 'list':
+      return renderHistory();
+    case 'select':
+      if (target.checked) historyCompare.add(run.id);
+      else historyCompare.delete(run.id);
+      // Keep the two most recently ticked
+      if (historyCompare.size > 2) historyCompare.delete(historyCompare.values().next().value);
+      return renderHistory();
+    case 'compare': {
+      const [a, b] = [...historyCompare].map(id => runs.find(r => r.id === id));
+      if (a && b) renderHistoryComparison(a, b);
+      return;
+    }
+    case 'open':
+      return renderHistoryRun(run);
+    case 'rename': {
+      const name = (prompt('Rename run:', run.name) || '').trim();
+      if (!name) return;
+      run.name = name;
+      await saveHistory(runs);
+      return renderHistory();
+    }
+    case 'pin':
+      run.pinned = !run.pinned;
+      await saveHistory(runs);
+      return renderHistory();
+    case 'delete':
+      if (!confirm(`Delete the run "${run.name}"? Export it first if you may want it back.`)) return;
+      await saveHistory(runs.filter(r => r.id !== run.id));
+      DEBUG.log('Deleted run from history:', run.name);
+      return renderHistory();
+    case 'export':
+      return downloadFile(`throughline-run-${run.createdAt.slice(0, 10)}.json`, JSON.stringify(run, null, 2), 'application/json');
+    case 'export-all':
+      return downloadFile(`throughline-history-${date}.json`, JSON.stringify({ exportedAt: new Date().toISOString(), runs }, null, 2), 'application/json');
+    case 'debug-tree':
+      return downloadDebugTree(run.debugTree);
+    case 'dismiss-pruned':
+      await chrome.storage.local.set({ historyPruned: [] });
+      return renderHistory();
+  }
 }
\ No newline at end of file
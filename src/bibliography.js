@@ -0,0 +1,193 @@
+// Bibliography export — writes a run's track papers (optionally plus reader-surfaced borderline papers)
+// as BibTeX, RIS and CSL-JSON for Zotero & co. Each entry carries its track theme as a keyword so the
+// track structure survives the import. Citation keys are stable: derived from author/year/title and
+// disambiguated in paperId order, so re-exporting the same run yields the same keys. Pure functions, no I/O.
+// In the popup run-results.js is a script tag; a namespace keeps its functions out of the shared global scope
+const runResults = typeof require === 'function' ? require('./run-results.js') : window.ThroughlineRunResults;
+
+const BORDERLINE_COLLECTION = 'Borderline (reader-surfaced)';
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'the', 'on', 'of', 'for', 'in', 'to', 'and', 'with', 'from', 'towards', 'toward', 'via', 'is', 'are', 'using', 'learning']);
+
+const ascii = (s) => String(s || '').normalize('NFKD').replace(/[̀-ͯ]/g, '').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+
+// "Dhruv Shah" → { given: 'Dhruv', family: 'Shah' }; S2 gives names in display order
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/);
+  if (parts.length <= 1) return { family: parts[0] || '', given: '' };
+  return { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') };
+}
+
+// Keywords are split on , and ; by most importers — keep a theme as one keyword
+const keywordSafe = (theme) => String(theme).replace(/\s*[,;]\s*/g, ' / ');
+
+// The venue a paper appeared in, and whether it is a conference or journal publication
+function venueOf(paper) {
+  const types = paper.publicationTypes || [];
+  const journalName = paper.journal?.name;
+  const venue = journalName || paper.venue || '';
+  const arxivOnly = !!paper.externalIds?.ArXiv && (!venue || /arxiv/i.test(venue));
+  let kind = 'misc';
+  if (arxivOnly) kind = 'preprint';
+  else if (types.includes('Conference')) kind = 'conference';
+  else if (types.includes('JournalArticle') || journalName) kind = 'journal';
+  else if (venue) kind = 'conference';
+  return { kind, venue: arxivOnly ? '' : venue, volume: paper.journal?.volume, pages: paper.journal?.pages };
+}
+
+// [{ paper, keywords: [theme...] }] — track papers in track order, then borderline papers if requested
+function bibliographyEntries(results, { includeBorderline = false } = {}) {
+  const entries = new Map();
+  const add = (paper, keyword) => {
+    const id = paper.paperId || paper.title;
+    if (!entries.has(id)) entries.set(id, { paper, keywords: [] });
+    const entry = entries.get(id);
+    if (!entry.keywords.includes(keyword)) entry.keywords.push(keyword);
+  };
+  for (const thread of results.threads || []) {
+    for (const paper of thread.papers || []) add(paper, keywordSafe(thread.theme));
+  }
+  if (includeBorderline) {
+    // Fresh runs carry full metadata; older results files only have what the reader passed back
+    const borderline = results.borderlinePapers || [...runResults.readerSurfaced(results).values()]
+      .filter(p => p.verdict === 'borderline')
+      .map(p => ({ paperId: p.id, title: p.title, year: p.year, citationCount: p.citations, authors: String(p.authors || '').split(', ').filter(Boolean).map(name => ({ name })) }));
+    for (const paper of borderline) {
+      if (!entries.has(paper.paperId || paper.title)) add(paper, BORDERLINE_COLLECTION);
+    }
+  }
+  return assignCitationKeys([...entries.values()]);
+}
+
+// shah2023vint-style keys; collisions get a, b, c… suffixes in paperId order
+function assignCitationKeys(entries) {
+  const base = (paper) => {
+    const family = ascii(splitName(paper.authors?.[0]?.name).family) || 'anon';
+    const word = String(paper.title || '').split(/[^A-Za-z0-9À-ɏ]+/).map(ascii).find(w => w && !TITLE_STOPWORDS.has(w)) || 'untitled';
+    return `${family}${paper.year || 'nd'}${word}`;
+  };
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = base(entry.paper);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  for (const [key, group] of groups) {
+    if (group.length === 1) { group[0].key = key; continue; }
+    group.slice().sort((a, b) => String(a.paper.paperId).localeCompare(String(b.paper.paperId)))
+      .forEach((entry, i) => { entry.key = key + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : ''); });
+  }
+  return entries;
+}
+
+const paperUrl = (paper) => paper.paperId ? `https://www.semanticscholar.org/paper/${paper.paperId}` : paper.openAccessPdf?.url;
+
+// ═══════════════════════════════════════════════════════════════════
+// BibTeX
+// ═══════════════════════════════════════════════════════════════════
+
+const bibEscape = (s) => String(s).replace(/([&%$#_{}])/g, '\\$1').replace(/\s+/g, ' ').trim();
+
+function toBibtex(entries) {
+  return entries.map(({ paper, keywords, key }) => {
+    const v = venueOf(paper);
+    const type = { journal: 'article', conference: 'inproceedings', preprint: 'misc', misc: 'misc' }[v.kind];
+    const fields = [];
+    const field = (name, value, raw = false) => {
+      if (value !== undefined && value !== null && value !== '') fields.push(`  ${name} = {${raw ? value : bibEscape(value)}}`);
+    };
+    // Double braces keep the title's capitalisation through BibTeX styles
+    field('title', `{${bibEscape(paper.title || '')}}`, true);
+    field('author', (paper.authors || []).map(a => bibEscape(a.name)).join(' and '), true);
+    field('year', paper.year);
+    if (v.kind === 'journal') field('journal', v.venue);
+    if (v.kind === 'conference') field('booktitle', v.venue);
+    if (v.kind === 'misc') field('howpublished', v.venue);
+    field('volume', v.volume);
+    field('pages', v.pages && String(v.pages).replace(/\s*-+\s*/, '--'));
+    field('doi', paper.externalIds?.DOI);
+    if (paper.externalIds?.ArXiv) {
+      field('eprint', paper.externalIds.ArXiv);
+      field('archiveprefix', 'arXiv');
+    }
+    field('url', paperUrl(paper));
+    field('keywords', keywords.join(', '));
+    field('abstract', paper.abstract);
+    return `@${type}{${key},\n${fields.join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// RIS
+// ═══════════════════════════════════════════════════════════════════
+
+function toRis(entries) {
+  return entries.map(({ paper, keywords, key }) => {
+    const v = venueOf(paper);
+    const lines = [];
+    const tag = (name, value) => {
+      if (value !== undefined && value !== null && value !== '') lines.push(`${name}  - ${String(value).replace(/\s+/g, ' ').trim()}`);
+    };
+    tag('TY', { journal: 'JOUR', conference: 'CPAPER', preprint: 'GEN', misc: 'GEN' }[v.kind]);
+    tag('ID', key);
+    tag('TI', paper.title);
+    for (const a of paper.authors || []) {
+      const { family, given } = splitName(a.name);
+      tag('AU', given ? `${family}, ${given}` : family);
+    }
+    tag('PY', paper.year);
+    if (paper.publicationDate) tag('DA', paper.publicationDate.replace(/-/g, '/'));
+    tag(v.kind === 'journal' ? 'JO' : 'T2', v.venue);
+    tag('VL', v.volume);
+    if (v.pages) {
+      const [start, end] = String(v.pages).split(/\s*-+\s*/);
+      tag('SP', start);
+      tag('EP', end);
+    }
+    tag('DO', paper.externalIds?.DOI);
+    tag('UR', paperUrl(paper));
+    if (paper.externalIds?.ArXiv) tag('UR', `https://arxiv.org/abs/${paper.externalIds.ArXiv}`);
+    if (paper.openAccessPdf?.url) tag('L1', paper.openAccessPdf.url);
+    for (const kw of keywords) tag('KW', kw);
+    tag('AB', paper.abstract);
+    lines.push('ER  - ');
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CSL-JSON
+// ═══════════════════════════════════════════════════════════════════
+
+function toCslJson(entries) {
+  const items = entries.map(({ paper, keywords, key }) => {
+    const v = venueOf(paper);
+    const item = {
+      id: key,
+      type: { journal: 'article-journal', conference: 'paper-conference', preprint: 'article', misc: 'article' }[v.kind],
+      title: paper.title,
+      author: (paper.authors || []).map(a => splitName(a.name))
+    };
+    const dateParts = paper.publicationDate ? paper.publicationDate.split('-').map(Number) : paper.year ? [paper.year] : null;
+    if (dateParts) item.issued = { 'date-parts': [dateParts] };
+    if (v.venue) item['container-title'] = v.venue;
+    if (v.volume) item.volume = String(v.volume);
+    if (v.pages) item.page = String(v.pages).trim();
+    if (paper.externalIds?.DOI) item.DOI = paper.externalIds.DOI;
+    if (paper.externalIds?.ArXiv) item.number = `arXiv:${paper.externalIds.ArXiv}`;
+    if (paperUrl(paper)) item.URL = paperUrl(paper);
+    item.keyword = keywords.join(', ');
+    if (paper.abstract) item.abstract = paper.abstract;
+    return item;
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+}
+
+const BIBLIOGRAPHY_FORMATS = {
+  bib: { extension: '.bib', render: toBibtex },
+  ris: { extension: '.ris', render: toRis },
+  csl: { extension: '.csl.json', render: toCslJson }
+};
+
+if (typeof module !== 'undefined') module.exports = { bibliographyEntries, toBibtex, toRis, toCslJson, BIBLIOGRAPHY_FORMATS, BORDERLINE_COLLECTION };
+if (typeof window !== 'undefined') window.ThroughlineBibliography = { bibliographyEntries, toBibtex, toRis, toCslJson, BIBLIOGRAPHY_FORMATS, BORDERLINE_COLLECTION };
@@ -0,0 +1,129 @@
+// Browser platform — the src/node-platform.js interface for the Chrome extension's service worker, which has
+// no fs, crypto module, async_hooks or events. Caches live in IndexedDB (chrome.storage.local is capped at
+// 10 MB, a few runs' worth of Semantic Scholar responses), hashing uses WebCrypto. Loaded with importScripts
+// before the analyzer (see background.js).
+
+const CACHE_DB = 'throughline-cache';
+const CACHE_STORES = ['ss', 'reader'];
+
+let cacheDb = null;
+function openCacheDb() {
+  if (!cacheDb) {
+    cacheDb = new Promise((resolve, reject) => {
+      const open = indexedDB.open(CACHE_DB, 1);
+      open.onupgradeneeded = () => {
+        for (const name of CACHE_STORES) {
+          if (!open.result.objectStoreNames.contains(name)) open.result.createObjectStore(name);
+        }
+      };
+      open.onsuccess = () => resolve(open.result);
+      open.onerror = () => reject(open.error);
+    });
+  }
+  return cacheDb;
+}
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// One object store per cache; entries are { value, savedAt }
+class IndexedDBCacheStore {
+  constructor(name) {
+    if (!CACHE_STORES.includes(name)) throw new Error(`Unknown cache: ${name}`);
+    this.name = name;
+  }
+
+  async objectStore(mode) {
+    return (await openCacheDb()).transaction(this.name, mode).objectStore(this.name);
+  }
+
+  async get(key, ttl = null) {
+    try {
+      const entry = await idbRequest((await this.objectStore('readonly')).get(key));
+      if (!entry) return null;
+      if (ttl && Date.now() - entry.savedAt > ttl) {
+        await idbRequest((await this.objectStore('readwrite')).delete(key));
+        return null;
+      }
+      return entry.value;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    await idbRequest((await this.objectStore('readwrite')).put({ value, savedAt: Date.now() }, key));
+  }
+
+  async prune(ttl) {
+    const store = await this.objectStore('readwrite');
+    let pruned = 0;
+    await new Promise((resolve, reject) => {
+      const cursor = store.openCursor();
+      cursor.onsuccess = () => {
+        const c = cursor.result;
+        if (!c) return resolve();
+        if (Date.now() - c.value.savedAt > ttl) {
+          c.delete();
+          pruned++;
+        }
+        c.continue();
+      };
+      cursor.onerror = () => reject(cursor.error);
+    });
+    return pruned;
+  }
+}
+
+// The directory argument is Node's; in the browser the cache name picks the object store
+function createCacheStore(name) {
+  return new IndexedDBCacheStore(name);
+}
+
+// The subset of Node's EventEmitter the analyzer and its embedders use
+class EventEmitter {
+  constructor() { this._listeners = new Map(); }
+
+  on(type, listener) {
+    if (!this._listeners.has(type)) this._listeners.set(type, []);
+    this._listeners.get(type).push(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    const listeners = this._listeners.get(type) || [];
+    const i = listeners.indexOf(listener);
+    if (i !== -1) listeners.splice(i, 1);
+    return this;
+  }
+
+  once(type, listener) {
+    const wrapper = (...args) => {
+      this.off(type, wrapper);
+      listener(...args);
+    };
+    return this.on(type, wrapper);
+  }
+
+  emit(type, ...args) {
+    const listeners = [...(this._listeners.get(type) || [])];
+    listeners.forEach(listener => listener(...args));
+    return listeners.length > 0;
+  }
+}
+
+// No async context propagation in the browser: run() just runs, so log lines of concurrent reader calls
+// are written as they happen instead of being grouped per call
+class AsyncLocalStorage {
+  run(store, fn) { return fn(); }
+  getStore() { return undefined; }
+}
+
+if (typeof window !== 'undefined') window.ThroughlinePlatform = { sha256, createCacheStore, EventEmitter, AsyncLocalStorage, ansiColors: false };
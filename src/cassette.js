@@ -0,0 +1,85 @@
+// Cassette — records every LLM and Semantic Scholar exchange of a run so the run can be replayed offline.
+//
+// Record mode runs the real call and stores a snapshot of its result (or the error it threw).
+// Replay mode never touches the network: each request is matched by a hash of its channel + payload,
+// and identical requests are served in the order they were recorded. That makes replay independent of
+// the timing of concurrent reader calls, so the whole analyze() pipeline is deterministic.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const CASSETTE_VERSION = 1;
+
+class Cassette {
+  constructor(filePath, mode, data = null) {
+    if (mode !== 'record' && mode !== 'replay') throw new Error(`Unknown cassette mode: ${mode}`);
+    this.filePath = filePath;
+    this.mode = mode;
+    this.meta = data?.meta || {};
+    this.entries = data?.entries || [];
+    this.queues = new Map();
+    if (mode === 'replay') {
+      for (const entry of this.entries) {
+        if (!this.queues.has(entry.key)) this.queues.set(entry.key, []);
+        this.queues.get(entry.key).push(entry);
+      }
+    }
+  }
+
+  static record(filePath) {
+    return new Cassette(filePath, 'record');
+  }
+
+  static replay(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version !== CASSETTE_VERSION) throw new Error(`Unsupported cassette version ${data.version} in ${filePath}`);
+    return new Cassette(filePath, 'replay', data);
+  }
+
+  get replaying() { return this.mode === 'replay'; }
+
+  keyFor(channel, request) {
+    return crypto.createHash('sha256').update(JSON.stringify({ channel, request })).digest('hex');
+  }
+
+  // Returns a fresh copy on every call so callers can mutate results without touching the recording
+  async run(channel, request, fn) {
+    const key = this.keyFor(channel, request);
+    if (this.replaying) return this.take(channel, key);
+    try {
+      const response = await fn();
+      this.entries.push({ channel, key, response: clone(response) });
+      return response;
+    } catch (e) {
+      this.entries.push({ channel, key, error: e.message });
+      throw e;
+    }
+  }
+
+  // Synchronous variant for values that are generated rather than fetched (e.g. random track IDs)
+  runSync(channel, request, fn) {
+    const key = this.keyFor(channel, request);
+    if (this.replaying) return this.take(channel, key);
+    const response = fn();
+    this.entries.push({ channel, key, response: clone(response) });
+    return response;
+  }
+
+  take(channel, key) {
+    const queue = this.queues.get(key);
+    if (!queue || queue.length === 0) {
+      throw new Error(`Cassette miss: no recorded ${channel} exchange for this request (${key.substring(0, 12)}) in ${this.filePath} — the run diverged from the recording; re-record the cassette`);
+    }
+    const entry = queue.shift();
+    if (entry.error !== undefined) throw new Error(entry.error);
+    return clone(entry.response);
+  }
+
+  save() {
+    if (this.replaying) return;
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: CASSETTE_VERSION, meta: this.meta, entries: this.entries }));
+  }
+}
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+if (typeof module !== 'undefined') module.exports = { Cassette };
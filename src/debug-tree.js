@@ -0,0 +1,76 @@
+// Debug tree — plain-text rendering of analyzer.debugTree (see recordDebugNode in throughline-analyzer.js):
+// iterations, the tool calls made in each, and under each call the reader's verdicts and the track and
+// primer edits it made. Shared by the popup's "Download debug tree" and the CLI's --debug-tree. Pure functions.
+
+const DEBUG_TREE_FILE = 'throughline-debug-tree.txt';
+
+const LEGEND = [
+  ['ITERATION', 'One agent turn (tracks and papers at its start)'],
+  ['TOOL_CALL', 'A tool the agent called, with its rationale, focus and outcome'],
+  ['TOOL_ERROR', 'A tool call that returned an error'],
+  ['TOOL_DUPLICATE', 'A discovery call answered from the exploration ledger (reader skipped)'],
+  ['SELECTED / BORDERLINE', 'Reader verdicts on the papers a discovery call returned'],
+  ['CANDIDATE', 'A paper an explore subagent reported back (its own calls are nested above it)'],
+  ['TRACK_CREATED / _RENAMED / _DELETED', 'Track edits'],
+  ['PAPER_ADDED / PAPER_REMOVED', 'Track membership edits, with the agent\'s reason'],
+  ['PRIMER_APPEND / PRIMER_UPDATE', 'Primer edits'],
+  ['RESUME', 'The run was continued from a checkpoint']
+];
+
+function formatDebugTree(tree) {
+  let text = '=== THROUGHLINE ANALYSIS DEBUG TREE ===\n\nLEGEND:\n';
+  const width = Math.max(...LEGEND.map(([type]) => type.length));
+  for (const [type, meaning] of LEGEND) text += `  ${type.padEnd(width)} = ${meaning}\n`;
+  text += '\n' + '='.repeat(70) + '\n';
+
+  tree.forEach((node, i) => {
+    const data = node.data || {};
+    const baseIndent = '  '.repeat((data.stackDepth || 1) - 1);
+    const dataIndent = baseIndent + '    ';
+    const line = (label, value) => { text += `${dataIndent}${label}: ${value}\n`; };
+
+    if (node.type === 'iteration') text += '\n';
+    text += `${baseIndent}[${i + 1}] ${node.type.toUpperCase()}: ${node.message}\n`;
+
+    switch (node.type) {
+      case 'tool_call':
+      case 'tool_error':
+      case 'tool_duplicate':
+        if (data.rationale) line('Rationale', data.rationale);
+        if (data.focus) line('Focus', data.focus);
+        if (data.error) line('Error', data.error);
+        if (data.note) line('Note', data.note);
+        if (data.summary) line('Summary', data.summary);
+        if (data.durationMs != null) line('Took', `${(data.durationMs / 1000).toFixed(1)}s`);
+        break;
+      case 'selected':
+      case 'borderline':
+      case 'candidate':
+        line('Paper', `${data.paperId}${data.authors ? ` — ${data.authors}` : ''}${data.citations != null ? `, ${data.citations} cit.` : ''}`);
+        if (data.note) line('Note', data.note);
+        break;
+      case 'paper_added':
+      case 'paper_removed':
+        line('Paper', `${data.paperId}${data.authors ? ` — ${data.authors}` : ''}`);
+        if (data.reason) line('Reason', data.reason);
+        break;
+      case 'track_deleted':
+        line('Papers returned to the pool', data.papersReturned);
+        break;
+      case 'primer_append':
+      case 'primer_update':
+        if (data.oldText) text += `${dataIndent}Replaced:\n${indentBlock(data.oldText, dataIndent + '  ')}\n`;
+        text += `${dataIndent}${data.oldText ? 'With' : 'Added'}:\n${indentBlock(data.content, dataIndent + '  ')}\n`;
+        break;
+    }
+  });
+
+  return text;
+}
+
+function indentBlock(s, indent) {
+  return String(s).split('\n').map(l => indent + l).join('\n');
+}
+
+if (typeof module !== 'undefined') module.exports = { formatDebugTree, DEBUG_TREE_FILE };
+if (typeof window !== 'undefined') window.ThroughlineDebugTree = { formatDebugTree, DEBUG_TREE_FILE };
@@ -0,0 +1,135 @@
+// Benchmark harness — scores a finished run against a structured expected-output survey.
+//
+// Expected file format (see expected.json):
+//   { "name": "...", "tracks": [ { "name": "...", "papers": [ { "title", "short"?, "year"?, "paperId"?, "doi"?, "arxivId"?, "aliases"? } ] } ] }
+// `short` is the label used in the run-log row; `aliases` are alternative titles to fuzzy-match.
+//
+// A produced paper matches an expected one by S2 paperId, then DOI / arXiv ID, then fuzzy title.
+const { trackPapers, readerSurfaced } = require('./run-results.js');
+
+const TITLE_MATCH_THRESHOLD = 0.85;
+
+// Default label for a paper in the run-log table: the part before a colon ("ViNT: A Foundation..." → "ViNT")
+const shortTitle = (title) => title.includes(':') ? title.split(':')[0].trim() : title;
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Dice coefficient over word tokens — tolerant of punctuation, casing and small wording differences
+function titleSimilarity(a, b) {
+  const ta = normalizeTitle(a).split(' ').filter(Boolean);
+  const tb = normalizeTitle(b).split(' ').filter(Boolean);
+  if (ta.length === 0 || tb.length === 0) return 0;
+  if (ta.join(' ') === tb.join(' ')) return 1;
+  const counts = new Map();
+  for (const t of ta) counts.set(t, (counts.get(t) || 0) + 1);
+  let shared = 0;
+  for (const t of tb) {
+    if (counts.get(t) > 0) { shared++; counts.set(t, counts.get(t) - 1); }
+  }
+  return (2 * shared) / (ta.length + tb.length);
+}
+
+const lower = (s) => (s ? String(s).toLowerCase() : null);
+
+// Returns the match method ('paperId' | 'doi' | 'arxiv' | 'title') or null
+function matchPaper(expected, paper) {
+  const id = paper.paperId || paper.id;
+  if (expected.paperId && id && expected.paperId === id) return 'paperId';
+  const ext = paper.externalIds || {};
+  if (expected.doi && ext.DOI && lower(expected.doi) === lower(ext.DOI)) return 'doi';
+  if (expected.arxivId && ext.ArXiv && lower(expected.arxivId) === lower(ext.ArXiv)) return 'arxiv';
+  const titles = [expected.title, ...(expected.aliases || [])];
+  if (titles.some(t => titleSimilarity(t, paper.title) >= TITLE_MATCH_THRESHOLD)) return 'title';
+  return null;
+}
+
+// trace: optional run-trace records, for results files without readerVerdicts
+function evaluateRun(results, expected, trace = null) {
+  const produced = trackPapers(results);
+  const surfaced = [...readerSurfaced(results, trace).values()];
+  const matchedProduced = new Set();
+
+  const tracks = (expected.tracks || []).map(track => {
+    const papers = track.papers.map(exp => {
+      const hits = produced.filter(p => matchPaper(exp, p.paper));
+      hits.forEach(h => matchedProduced.add(h.paper));
+      const entry = { title: exp.title, short: exp.short || shortTitle(exp.title), found: hits.length > 0 };
+      if (hits.length > 0) {
+        entry.matchedBy = matchPaper(exp, hits[0].paper);
+        entry.paperId = hits[0].paper.paperId;
+        entry.tracks = [...new Set(hits.map(h => h.threadIndex))];
+      } else {
+        const seen = surfaced.find(s => matchPaper(exp, s));
+        if (seen) entry.surfacedByReader = { verdict: seen.verdict, note: seen.note, source: seen.source };
+      }
+      return entry;
+    });
+
+    // Grouping: which produced track holds most of this expected track, and how scattered it is
+    const byThread = new Map();
+    for (const p of papers) for (const idx of p.tracks || []) byThread.set(idx, (byThread.get(idx) || 0) + 1);
+    const [bestIdx, bestCount] = [...byThread.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    const found = papers.filter(p => p.found).length;
+    return {
+      name: track.name,
+      found,
+      total: papers.length,
+      recall: papers.length ? found / papers.length : 0,
+      bestMatchingTrack: bestIdx === null ? null : { index: bestIdx, theme: results.threads[bestIdx].theme, papers: bestCount },
+      spreadAcrossTracks: byThread.size,
+      papers
+    };
+  });
+
+  const allExpected = tracks.flatMap(t => t.papers);
+  const found = allExpected.filter(p => p.found).length;
+  return {
+    expected: expected.name || null,
+    found,
+    total: allExpected.length,
+    recall: allExpected.length ? found / allExpected.length : 0,
+    // Lower bound: the survey is not exhaustive, so unmatched papers are not necessarily wrong
+    precision: produced.length ? matchedProduced.size / produced.length : 0,
+    producedPapers: produced.length,
+    producedTracks: (results.threads || []).length,
+    tracks,
+    surfacedNotAdded: allExpected
+      .filter(p => p.surfacedByReader)
+      .map(p => ({ title: p.title, short: p.short, ...p.surfacedByReader }))
+  };
+}
+
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+// One row for the score table in meta-analysis/run-log.md: | Run | Score | Notes |
+function formatRunLogRow(report, label) {
+  const perTrack = report.tracks.map(t => `${t.name} ${t.found}/${t.total}`).join(', ');
+  const found = report.tracks.flatMap(t => t.papers.filter(p => p.found).map(p => `${p.short} ✓`)).join(', ');
+  const missed = report.surfacedNotAdded.map(p => p.short).join(', ');
+  const notes = [
+    `${report.producedTracks} tracks, ${report.producedPapers} papers`,
+    `recall ${pct(report.recall)}, precision ${pct(report.precision)}`,
+    perTrack,
+    found,
+    missed ? `reader-surfaced but not added: ${missed}` : null
+  ].filter(Boolean).join(' — ');
+  return `| ${label} | ${report.found}/${report.total} | ${notes} |`;
+}
+
+function formatEvaluation(report) {
+  const lines = [`Score: ${report.found}/${report.total} (recall ${pct(report.recall)}, precision ${pct(report.precision)} of ${report.producedPapers} track papers)`];
+  for (const t of report.tracks) {
+    const best = t.bestMatchingTrack ? ` — mostly in track ${t.bestMatchingTrack.index} "${t.bestMatchingTrack.theme}"` : '';
+    lines.push(`\n${t.name}: ${t.found}/${t.total}${best}${t.spreadAcrossTracks > 1 ? ` (spread over ${t.spreadAcrossTracks} tracks)` : ''}`);
+    for (const p of t.papers) {
+      if (p.found) lines.push(`  ✓ ${p.title} [track ${p.tracks.join(', ')}, by ${p.matchedBy}]`);
+      else if (p.surfacedByReader) lines.push(`  ~ ${p.title} — reader ${p.surfacedByReader.verdict}, never added`);
+      else lines.push(`  ✗ ${p.title}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+if (typeof module !== 'undefined') module.exports = { evaluateRun, formatRunLogRow, formatEvaluation, matchPaper, titleSimilarity, normalizeTitle };
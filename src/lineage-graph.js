@@ -0,0 +1,140 @@
+// Lineage graph — the papers of a finished run as a graph: one node per track paper, coloured by track,
+// and an edge A → B wherever B cites A (results.lineageEdges). Rendered as GraphViz DOT, Mermaid and
+// GraphML so the lineage can be drawn or analysed rather than read as flat, date-sorted lists. Pure functions.
+
+// Colour-blind friendly (Okabe–Ito + extras); tracks beyond the palette wrap around
+const TRACK_COLORS = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#999999', '#88CCEE', '#DDCC77', '#AA4499', '#44AA99'];
+
+// Short node label: the part before a colon ("ViNT: A Foundation..." → "ViNT"), else the first few words
+function shortLabel(title) {
+  const t = String(title || 'Untitled');
+  if (t.includes(':') && t.indexOf(':') <= 40) return t.split(':')[0].trim();
+  const words = t.split(/\s+/);
+  return words.length > 6 ? `${words.slice(0, 6).join(' ')}…` : t;
+}
+
+function buildLineageGraph(results) {
+  const tracks = (results.threads || []).map((t, i) => ({ index: i, theme: t.theme, color: TRACK_COLORS[i % TRACK_COLORS.length] }));
+  const nodes = [];
+  const seen = new Set();
+  (results.threads || []).forEach((thread, trackIndex) => {
+    for (const p of thread.papers || []) {
+      if (!p.paperId || seen.has(p.paperId)) continue;
+      seen.add(p.paperId);
+      nodes.push({
+        id: p.paperId,
+        key: `p${nodes.length + 1}`,
+        title: p.title || '',
+        label: shortLabel(p.title),
+        year: p.year || null,
+        citationCount: p.citationCount ?? null,
+        track: trackIndex
+      });
+    }
+  });
+  const edges = (results.lineageEdges || []).filter(e => seen.has(e.source) && seen.has(e.target));
+  return { tracks, nodes, edges };
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GraphViz DOT
+// ═══════════════════════════════════════════════════════════════════
+
+const dotString = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+function toDot(graph) {
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const lines = [
+    'digraph lineage {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    '  edge [color="#555555", arrowsize=0.6];',
+    ''
+  ];
+  for (const n of graph.nodes) {
+    const track = graph.tracks[n.track];
+    lines.push(`  ${n.key} [label=${dotString(`${n.label}\n${n.year || 'n.d.'}`)}, tooltip=${dotString(n.title)}, fillcolor=${dotString(track.color)}];`);
+  }
+  // Same-year papers share a rank so the layout reads as a timeline
+  const years = [...new Set(graph.nodes.map(n => n.year).filter(Boolean))].sort();
+  if (years.length > 1) {
+    lines.push('');
+    for (const year of years) lines.push(`  { rank=same; ${graph.nodes.filter(n => n.year === year).map(n => n.key).join('; ')}; }`);
+  }
+  if (graph.edges.length > 0) lines.push('');
+  for (const e of graph.edges) lines.push(`  ${byId.get(e.source).key} -> ${byId.get(e.target).key};`);
+
+  lines.push('', '  subgraph cluster_legend {', '    label="Tracks"; fontname="Helvetica"; style=dashed;');
+  for (const t of graph.tracks) lines.push(`    legend${t.index} [label=${dotString(t.theme)}, fillcolor=${dotString(t.color)}];`);
+  lines.push('  }', '}');
+  return lines.join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Mermaid
+// ═══════════════════════════════════════════════════════════════════
+
+const mermaidText = (s) => String(s).replace(/"/g, '#quot;').replace(/[<>]/g, c => (c === '<' ? '#lt;' : '#gt;'));
+
+function toMermaid(graph) {
+  const byId = new Map(graph.nodes.map(n => [n.id, n]));
+  const lines = ['flowchart LR'];
+  graph.tracks.forEach(t => lines.push(`  classDef track${t.index} fill:${t.color},stroke:#333,color:#000`));
+  graph.tracks.forEach(t => {
+    const members = graph.nodes.filter(n => n.track === t.index);
+    if (members.length === 0) return;
+    lines.push(`  subgraph t${t.index}["${mermaidText(t.theme)}"]`);
+    for (const n of members) lines.push(`    ${n.key}["${mermaidText(n.label)} (${n.year || 'n.d.'})"]:::track${t.index}`);
+    lines.push('  end');
+  });
+  for (const e of graph.edges) lines.push(`  ${byId.get(e.source).key} --> ${byId.get(e.target).key}`);
+  return lines.join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// GraphML
+// ═══════════════════════════════════════════════════════════════════
+
+const xml = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function toGraphML(graph) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="title" for="node" attr.name="title" attr.type="string"/>',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="year" for="node" attr.name="year" attr.type="int"/>',
+    '  <key id="citations" for="node" attr.name="citationCount" attr.type="int"/>',
+    '  <key id="track" for="node" attr.name="track" attr.type="int"/>',
+    '  <key id="theme" for="node" attr.name="trackTheme" attr.type="string"/>',
+    '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    '  <graph id="lineage" edgedefault="directed">'
+  ];
+  for (const n of graph.nodes) {
+    const track = graph.tracks[n.track];
+    lines.push(`    <node id="${xml(n.id)}">`);
+    lines.push(`      <data key="title">${xml(n.title)}</data>`);
+    lines.push(`      <data key="label">${xml(n.label)}</data>`);
+    if (n.year) lines.push(`      <data key="year">${n.year}</data>`);
+    if (n.citationCount != null) lines.push(`      <data key="citations">${n.citationCount}</data>`);
+    lines.push(`      <data key="track">${n.track}</data>`);
+    lines.push(`      <data key="theme">${xml(track.theme)}</data>`);
+    lines.push(`      <data key="color">${track.color}</data>`);
+    lines.push('    </node>');
+  }
+  graph.edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${xml(e.source)}" target="${xml(e.target)}"><data key="relation">cited by</data></edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+const GRAPH_FORMATS = {
+  dot: { extension: '.dot', render: toDot },
+  mermaid: { extension: '.mmd', render: toMermaid },
+  graphml: { extension: '.graphml', render: toGraphML }
+};
+
+if (typeof module !== 'undefined') module.exports = { buildLineageGraph, toDot, toMermaid, toGraphML, GRAPH_FORMATS };
+if (typeof window !== 'undefined') window.ThroughlineLineageGraph = { buildLineageGraph, toDot, toMermaid, toGraphML, GRAPH_FORMATS };
@@ -0,0 +1,77 @@
+// LLM provider — every model call goes through one OpenAI-compatible chat-completions endpoint.
+// Works against OpenRouter (default) or any server speaking the same API: vLLM, llama.cpp server,
+// a local stand-in or a fake test server. Each model role (agent, reader, complexity) has its own model.
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+const DEFAULT_MODELS = {
+  agent: 'google/gemini-3-flash-preview',
+  reader: 'deepseek/deepseek-v4-flash',
+  complexity: 'deepseek/deepseek-v4-flash'
+};
+
+// USD per million tokens, for --max-cost and the run's cost estimate. Approximate OpenRouter list prices;
+// cached-input discounts are ignored, so estimates err high. Pass modelPrices to override or add models.
+const MODEL_PRICES = {
+  'google/gemini-3-flash-preview': { input: 0.5, output: 3 },
+  'google/gemini-3-pro-preview': { input: 2, output: 12 },
+  'deepseek/deepseek-v4-flash': { input: 0.3, output: 0.5 },
+  'anthropic/claude-sonnet-4.5': { input: 3, output: 15 },
+  'openai/gpt-5-mini': { input: 0.25, output: 2 }
+};
+
+class LLMProvider {
+  constructor(config = {}) {
+    this.baseUrl = (config.baseUrl || OPENROUTER_BASE_URL).replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.models = {
+      agent: config.agentModel || DEFAULT_MODELS.agent,
+      reader: config.readerModel || DEFAULT_MODELS.reader,
+      complexity: config.complexityModel || config.readerModel || DEFAULT_MODELS.complexity
+    };
+    this.isOpenRouter = this.baseUrl.startsWith(OPENROUTER_BASE_URL);
+    // `reasoning` is OpenRouter's unified switch; strict OpenAI-compatible servers may reject unknown fields
+    this.reasoning = config.reasoning ?? this.isOpenRouter;
+    this.headers = config.headers || {};
+    this.prices = { ...MODEL_PRICES, ...(config.modelPrices || {}) };
+  }
+
+  modelFor(role) {
+    const model = this.models[role];
+    if (!model) throw new Error(`Unknown LLM role: ${role}`);
+    return model;
+  }
+
+  // Estimated USD for a role's token usage, or null when its model has no price
+  costFor(role, tokensIn, tokensOut) {
+    const price = this.prices[this.modelFor(role)];
+    if (!price) return null;
+    return (tokensIn * price.input + tokensOut * price.output) / 1e6;
+  }
+
+  describe() {
+    const host = this.isOpenRouter ? 'OpenRouter' : this.baseUrl;
+    return `${host} — agent: ${this.models.agent}, reader: ${this.models.reader}, complexity: ${this.models.complexity}`;
+  }
+
+  // Returns a plain object (never a Response) so callers can retry on status and results stay serializable.
+  // Network failures still throw.
+  async chatCompletion(role, body) {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.modelFor(role),
+        ...body,
+        ...(this.reasoning ? { reasoning: { enabled: true } } : {})
+      })
+    });
+    if (!response.ok) return { ok: false, status: response.status, text: await response.text() };
+    return { ok: true, status: response.status, data: await response.json() };
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = { LLMProvider, DEFAULT_MODELS, MODEL_PRICES, OPENROUTER_BASE_URL };
+if (typeof window !== 'undefined') window.LLMProvider = LLMProvider;
@@ -0,0 +1,59 @@
+// Node platform — what the analyzer needs from its runtime, backed by Node built-ins: hashing, the on-disk
+// caches (.ss-cache, .reader-cache: one JSON file per key), event emitter and per-call log buffering.
+// src/browser-platform.js provides the same interface for the Chrome extension's service worker.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+
+async function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A directory of <key>.json files; age is the file's mtime
+class FileCacheStore {
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) { return path.join(this.dir, `${key}.json`); }
+
+  async get(key, ttl = null) {
+    try {
+      if (ttl && Date.now() - fs.statSync(this.file(key)).mtimeMs > ttl) {
+        fs.unlinkSync(this.file(key));
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(this.file(key), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    fs.writeFileSync(this.file(key), JSON.stringify(value));
+  }
+
+  // Deletes entries older than ttl; returns how many
+  async prune(ttl) {
+    const now = Date.now();
+    let pruned = 0;
+    for (const file of fs.readdirSync(this.dir)) {
+      const filePath = path.join(this.dir, file);
+      if (now - fs.statSync(filePath).mtimeMs > ttl) {
+        fs.unlinkSync(filePath);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+}
+
+// name is 'ss' or 'reader'; dir defaults to .<name>-cache in the working directory
+function createCacheStore(name, dir) {
+  return new FileCacheStore(dir || path.join(process.cwd(), `.${name}-cache`));
+}
+
+module.exports = { sha256, createCacheStore, EventEmitter, AsyncLocalStorage, ansiColors: true };
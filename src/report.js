@@ -0,0 +1,293 @@
+// Research report — renders a finished run (throughline-results.json) as a self-contained markdown document
+// or static HTML page for people who will never run the tool: research question, seeds, per-track table of
+// contents, chronological paper lists with links, the primer, and run stats. Pure functions, no I/O.
+
+const S2_PAPER_URL = 'https://www.semanticscholar.org/paper/';
+
+function paperLinks(paper) {
+  const links = [];
+  if (paper.paperId) links.push({ label: 'Semantic Scholar', url: S2_PAPER_URL + paper.paperId });
+  const doi = paper.externalIds?.DOI;
+  if (doi) links.push({ label: 'DOI', url: `https://doi.org/${doi}` });
+  const arxiv = paper.externalIds?.ArXiv;
+  if (arxiv) links.push({ label: 'arXiv', url: `https://arxiv.org/abs/${arxiv}` });
+  if (paper.openAccessPdf?.url) links.push({ label: 'PDF', url: paper.openAccessPdf.url });
+  return links;
+}
+
+function authorList(paper, max = 6) {
+  const names = (paper.authors || []).map(a => a.name).filter(Boolean);
+  if (names.length === 0) return 'Unknown authors';
+  return names.length > max ? `${names.slice(0, max).join(', ')} et al.` : names.join(', ');
+}
+
+const yearSpan = (papers) => {
+  const years = papers.map(p => p.year).filter(Boolean);
+  if (years.length === 0) return '';
+  const [min, max] = [Math.min(...years), Math.max(...years)];
+  return min === max ? `${min}` : `${min}–${max}`;
+};
+
+const plural = (n, word) => `${n.toLocaleString('en-US')} ${word}${n === 1 ? '' : 's'}`;
+
+const trackAnchor = (i) => `track-${i + 1}`;
+const paperAnchor = (i, j) => `track-${i + 1}-paper-${j + 1}`;
+
+// Everything both renderers need, computed once
+function reportModel(results, options = {}) {
+  const threads = results.threads || [];
+  const totalPapers = threads.reduce((n, t) => n + (t.papers || []).length, 0);
+  return {
+    title: options.title || 'Throughline research report',
+    generatedAt: options.generatedAt || new Date().toISOString().slice(0, 10),
+    criteria: results.criteria || null,
+    seeds: results.seeds || [],
+    unresolvedSeeds: results.unresolvedSeeds || [],
+    threads,
+    totalPapers,
+    primer: results.primer || '',
+    duration: results.duration,
+    stats: results.stats || null
+  };
+}
+
+function statRows(model) {
+  const s = model.stats;
+  const rows = [];
+  if (model.duration != null) rows.push(['Duration', `${model.duration}s`]);
+  if (!s) return rows;
+  const tokens = (t) => `${(t.in || 0).toLocaleString('en-US')} in / ${(t.out || 0).toLocaleString('en-US')} out`;
+  rows.push(['Agent iterations', String(s.iterations)]);
+  rows.push(['Papers considered', String(s.papersConsidered)]);
+  rows.push(['Agent calls', `${s.agentCalls} (${tokens(s.agentTokens)} tokens)`]);
+  rows.push(['Reader calls', `${s.readerCalls} (${tokens(s.readerTokens)} tokens)`]);
+  if (s.estimatedCost != null) rows.push(['Estimated LLM cost', `$${s.estimatedCost.toFixed(2)}`]);
+  if (s.budgetStop) rows.push(['Stopped by budget', `${s.budgetStop} limit reached — results are partial`]);
+  if (s.compaction?.count) rows.push(['Context compactions', `${s.compaction.count} (~${s.compaction.tokensSaved.toLocaleString('en-US')} prompt tokens saved)`]);
+  if (s.models) rows.push(['Models', Object.entries(s.models).map(([role, m]) => `${role}: ${m}`).join(', ')]);
+  return rows;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Markdown
+// ═══════════════════════════════════════════════════════════════════
+
+// Markdown link text must not contain unbalanced brackets
+const mdText = (s) => String(s || '').replace(/([[\]])/g, '\\$1');
+
+// Primer headings start at ### in practice; push anything higher below the report's own ## sections
+const demoteHeadings = (md) => md.replace(/^(#{1,2}) /gm, (m, hashes) => '#'.repeat(hashes.length + 2) + ' ');
+
+function buildMarkdownReport(results, options = {}) {
+  const m = reportModel(results, options);
+  const out = [];
+  out.push(`# ${m.title}`, '');
+  out.push(`_${plural(m.threads.length, 'track')} · ${plural(m.totalPapers, 'paper')} · generated ${m.generatedAt} by Throughline_`, '');
+
+  if (m.criteria) {
+    out.push('## Research question', '');
+    out.push(...m.criteria.trim().split('\n').map(l => `> ${l}`), '');
+  }
+
+  if (m.seeds.length > 0) {
+    out.push('## Seed papers', '');
+    for (const s of m.seeds) out.push(`- ${s.year ? `[${s.year}] ` : ''}${s.paperId ? `[${mdText(s.title)}](${S2_PAPER_URL}${s.paperId})` : mdText(s.title)}`);
+    out.push('');
+  }
+  if (m.unresolvedSeeds.length > 0) out.push(`_Seeds not found on Semantic Scholar: ${m.unresolvedSeeds.join(', ')}_`, '');
+
+  out.push('## Contents', '');
+  m.threads.forEach((t, i) => {
+    out.push(`${i + 1}. [${mdText(t.theme)}](#${trackAnchor(i)}) — ${plural(t.papers.length, 'paper')}${t.papers.length ? `, ${yearSpan(t.papers)}` : ''}`);
+    t.papers.forEach((p, j) => out.push(`   - [${p.year || 'n.d.'} · ${mdText(p.title)}](#${paperAnchor(i, j)})`));
+  });
+  if (m.primer) out.push(`${m.threads.length + 1}. [Research primer](#research-primer)`);
+  out.push(`${m.threads.length + (m.primer ? 2 : 1)}. [Run statistics](#run-statistics)`, '');
+
+  m.threads.forEach((t, i) => {
+    out.push(`<a id="${trackAnchor(i)}"></a>`, '', `## ${i + 1}. ${t.theme}`, '');
+    if (t.papers.length === 0) {
+      out.push('_No papers were added to this track._', '');
+      return;
+    }
+    out.push(`_${plural(t.papers.length, 'paper')}, ${yearSpan(t.papers)}_`, '');
+    t.papers.forEach((p, j) => {
+      const cites = p.citationCount != null ? ` · ${plural(p.citationCount, 'citation')}` : '';
+      out.push(`<a id="${paperAnchor(i, j)}"></a>`, '');
+      out.push(`**${p.year || 'n.d.'} — ${p.title}**  `);
+      out.push(`${authorList(p)}${cites}  `);
+      out.push(paperLinks(p).map(l => `[${l.label}](${l.url})`).join(' · '));
+      if (p.selectionReason) out.push('', `> ${p.selectionReason.replace(/\n+/g, ' ')}`);
+      out.push('');
+    });
+  });
+
+  if (m.primer) {
+    out.push('<a id="research-primer"></a>', '', '## Research primer', '', demoteHeadings(m.primer.trim()), '');
+  }
+
+  out.push('<a id="run-statistics"></a>', '', '## Run statistics', '');
+  const rows = statRows(m);
+  if (rows.length > 0) {
+    out.push('| | |', '|---|---|', ...rows.map(([k, v]) => `| ${k} | ${v} |`));
+  } else {
+    out.push('_No run statistics recorded._');
+  }
+  return out.join('\n') + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// HTML
+// ═══════════════════════════════════════════════════════════════════
+
+const htmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+// Inline markdown on already-escaped text: `code`, **bold**, *italic* / _italic_, [text](http…)
+function inlineMarkdown(text) {
+  return text
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+// Small markdown renderer for the primer: headings, bullet/numbered lists, blockquotes, paragraphs
+function markdownToHtml(md) {
+  const html = [];
+  let list = null;
+  let para = [];
+  const flushPara = () => {
+    if (para.length) html.push(`<p>${inlineMarkdown(para.join(' '))}</p>`);
+    para = [];
+  };
+  const closeList = () => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+  for (const raw of md.split('\n')) {
+    const line = htmlEscape(raw.trimEnd());
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = line.match(/^\s*[*-]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const quote = line.match(/^&gt;\s?(.*)$/);
+    if (heading) {
+      flushPara(); closeList();
+      // Same demotion as the markdown report: # and ## drop below the report's own <h2> sections
+      const level = heading[1].length <= 2 ? heading[1].length + 2 : heading[1].length;
+      html.push(`<h${level}>${inlineMarkdown(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushPara();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list !== tag) { closeList(); html.push(`<${tag}>`); list = tag; }
+      html.push(`<li>${inlineMarkdown((bullet || numbered)[1])}</li>`);
+    } else if (quote) {
+      flushPara(); closeList();
+      html.push(`<blockquote>${inlineMarkdown(quote[1])}</blockquote>`);
+    } else if (!line.trim()) {
+      flushPara(); closeList();
+    } else if (list && /^\s+/.test(raw)) {
+      // continuation of the previous list item
+      html[html.length - 1] = html[html.length - 1].replace(/<\/li>$/, ` ${inlineMarkdown(line.trim())}</li>`);
+    } else {
+      closeList();
+      para.push(line.trim());
+    }
+  }
+  flushPara(); closeList();
+  return html.join('\n');
+}
+
+const REPORT_CSS = `
+  body { font: 16px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 860px; margin: 2rem auto; padding: 0 1.25rem; }
+  h1 { margin-bottom: .25rem; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; margin-top: 2.5rem; }
+  a { color: #0969da; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .meta, .span, .authors { color: #59636e; }
+  .criteria { border-left: 4px solid #d0d7de; margin: 0; padding: .25rem 1rem; color: #424a53; white-space: pre-wrap; }
+  nav ol { padding-left: 1.5rem; }
+  nav ol ul { font-size: .92em; margin: .2rem 0 .6rem; }
+  .paper { margin: 1.25rem 0; }
+  .paper .title { font-weight: 600; }
+  .paper .year { display: inline-block; min-width: 3.2em; color: #59636e; }
+  .paper .links a { margin-right: .75rem; font-size: .92em; }
+  .reason { margin: .4rem 0 0; padding: .4rem .8rem; background: #f6f8fa; border-radius: 6px; font-size: .95em; }
+  table { border-collapse: collapse; }
+  td { border: 1px solid #d0d7de; padding: .35rem .75rem; vertical-align: top; }
+  td:first-child { font-weight: 600; white-space: nowrap; }
+  .primer blockquote { border-left: 4px solid #d0d7de; margin: .5rem 0; padding: 0 1rem; color: #424a53; }
+`;
+
+function buildHtmlReport(results, options = {}) {
+  const m = reportModel(results, options);
+  const e = htmlEscape;
+  const body = [];
+
+  body.push(`<h1>${e(m.title)}</h1>`);
+  body.push(`<p class="meta">${plural(m.threads.length, 'track')} · ${plural(m.totalPapers, 'paper')} · generated ${e(m.generatedAt)} by Throughline</p>`);
+
+  if (m.criteria) body.push('<h2>Research question</h2>', `<blockquote class="criteria">${e(m.criteria.trim())}</blockquote>`);
+
+  if (m.seeds.length > 0) {
+    body.push('<h2>Seed papers</h2>', '<ul>');
+    for (const s of m.seeds) {
+      const title = s.paperId ? `<a href="${S2_PAPER_URL}${e(s.paperId)}">${e(s.title)}</a>` : e(s.title);
+      body.push(`<li>${s.year ? `${s.year} — ` : ''}${title}</li>`);
+    }
+    body.push('</ul>');
+  }
+  if (m.unresolvedSeeds.length > 0) body.push(`<p class="meta">Seeds not found on Semantic Scholar: ${e(m.unresolvedSeeds.join(', '))}</p>`);
+
+  body.push('<nav>', '<h2>Contents</h2>', '<ol>');
+  m.threads.forEach((t, i) => {
+    body.push(`<li><a href="#${trackAnchor(i)}">${e(t.theme)}</a> <span class="span">— ${plural(t.papers.length, 'paper')}${t.papers.length ? `, ${yearSpan(t.papers)}` : ''}</span>`);
+    if (t.papers.length > 0) {
+      body.push('<ul>', ...t.papers.map((p, j) => `<li><a href="#${paperAnchor(i, j)}">${p.year || 'n.d.'} · ${e(p.title)}</a></li>`), '</ul>');
+    }
+    body.push('</li>');
+  });
+  if (m.primer) body.push('<li><a href="#research-primer">Research primer</a></li>');
+  body.push('<li><a href="#run-statistics">Run statistics</a></li>', '</ol>', '</nav>');
+
+  m.threads.forEach((t, i) => {
+    body.push(`<section id="${trackAnchor(i)}">`, `<h2>${i + 1}. ${e(t.theme)}</h2>`);
+    if (t.papers.length === 0) body.push('<p class="meta">No papers were added to this track.</p>');
+    else body.push(`<p class="span">${plural(t.papers.length, 'paper')}, ${yearSpan(t.papers)}</p>`);
+    t.papers.forEach((p, j) => {
+      const cites = p.citationCount != null ? ` · ${plural(p.citationCount, 'citation')}` : '';
+      body.push(`<div class="paper" id="${paperAnchor(i, j)}">`);
+      body.push(`<div class="title"><span class="year">${p.year || 'n.d.'}</span>${e(p.title)}</div>`);
+      body.push(`<div class="authors">${e(authorList(p))}${cites}</div>`);
+      body.push(`<div class="links">${paperLinks(p).map(l => `<a href="${e(l.url)}">${l.label}</a>`).join('')}</div>`);
+      if (p.selectionReason) body.push(`<p class="reason">${e(p.selectionReason)}</p>`);
+      body.push('</div>');
+    });
+    body.push('</section>');
+  });
+
+  if (m.primer) body.push('<section id="research-primer" class="primer">', '<h2>Research primer</h2>', markdownToHtml(m.primer), '</section>');
+
+  body.push('<section id="run-statistics">', '<h2>Run statistics</h2>');
+  const rows = statRows(m);
+  if (rows.length > 0) body.push('<table>', ...rows.map(([k, v]) => `<tr><td>${e(k)}</td><td>${e(v)}</td></tr>`), '</table>');
+  else body.push('<p class="meta">No run statistics recorded.</p>');
+  body.push('</section>');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${e(m.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+if (typeof module !== 'undefined') module.exports = { buildMarkdownReport, buildHtmlReport, markdownToHtml, paperLinks };
+if (typeof window !== 'undefined') window.ThroughlineReport = { buildMarkdownReport, buildHtmlReport, markdownToHtml, paperLinks };
@@ -0,0 +1,95 @@
+// Run history — the extension's finished runs, kept newest first in chrome.storage.local under `runHistory`.
+// background.js adds an entry when a run completes, is stopped or fails; popup.js lists, renames, pins, deletes, compares and exports
+// them. Pure functions over the entry list, no storage access.
+
+const HISTORY_KEY = 'runHistory';
+
+// chrome.storage.local holds 10 MB in all; the history gets half, the rest is papers, the current run and logs
+const HISTORY_LIMITS = { maxRuns: 20, maxBytes: 5 * 1024 * 1024 };
+
+// A finished run: what went in (seeds, criteria), what came out (tracks, primer) and what it took (stats).
+// A stopped or failed run keeps the tracks and primer it had reached, with its status and error.
+function createHistoryEntry({ papers = [], criteria = '', threads = [], primer = '', stats = null, debugTree = [], startedAt, status = 'complete', error = null }) {
+  const createdAt = new Date().toISOString();
+  const entry = {
+    id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: '',
+    createdAt,
+    startedAt: startedAt || createdAt,
+    seeds: papers.map(p => ({ title: p.title, year: p.year || null, paperId: p.paperId || null, journal: p.journal || null })),
+    criteria,
+    threads,
+    primer,
+    stats,
+    debugTree,
+    status,
+    error,
+    pinned: false
+  };
+  entry.name = defaultRunName(entry);
+  return entry;
+}
+
+// First line of the criteria, or the first seed's title
+function defaultRunName(entry) {
+  const source = (entry.criteria || '').split('\n')[0].trim() || entry.seeds[0]?.title || 'Untitled run';
+  return source.length > 60 ? source.slice(0, 57).trimEnd() + '…' : source;
+}
+
+// Approximate storage size: chrome.storage counts the JSON of each value
+const entrySize = (entry) => JSON.stringify(entry).length;
+const historySize = (entries) => entries.reduce((n, e) => n + entrySize(e), 0);
+
+// Brings the history (newest first) within limits. Over the byte limit, the oldest runs lose their debug trees
+// first, the bulk of an entry; then, over either limit, the oldest unpinned runs are dropped. The newest run is
+// never touched. Returns the new list and what was pruned, for the popup to report.
+function pruneHistory(entries, limits = HISTORY_LIMITS) {
+  const kept = entries.map(e => ({ ...e }));
+  const pruned = [];
+  const note = (e, dropped) => pruned.push({ id: e.id, name: e.name, createdAt: e.createdAt, dropped });
+
+  let size = historySize(kept);
+  for (let i = kept.length - 1; i > 0 && size > limits.maxBytes; i--) {
+    if (!kept[i].debugTree?.length) continue;
+    size -= entrySize(kept[i]);
+    kept[i].debugTree = [];
+    size += entrySize(kept[i]);
+    note(kept[i], 'debugTree');
+  }
+  for (let i = kept.length - 1; i > 0 && (size > limits.maxBytes || kept.length > limits.maxRuns); i--) {
+    if (kept[i].pinned) continue;
+    size -= entrySize(kept[i]);
+    note(kept[i], 'run');
+    kept.splice(i, 1);
+  }
+  return { entries: kept, pruned };
+}
+
+// Same paper across runs: S2 paperId, else normalized title
+function paperKey(paper) {
+  return paper.paperId || (paper.title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Track papers of two runs side by side: in both (with each run's track), only in a, only in b
+function compareRuns(a, b) {
+  const index = (run) => {
+    const papers = new Map();
+    for (const thread of run.threads || []) {
+      for (const paper of thread.papers || []) {
+        const key = paperKey(paper);
+        if (!papers.has(key)) papers.set(key, { paper, theme: thread.theme });
+      }
+    }
+    return papers;
+  };
+  const pa = index(a);
+  const pb = index(b);
+  return {
+    shared: [...pa].filter(([key]) => pb.has(key)).map(([key, x]) => ({ paper: x.paper, themeA: x.theme, themeB: pb.get(key).theme })),
+    onlyA: [...pa].filter(([key]) => !pb.has(key)).map(([, x]) => x),
+    onlyB: [...pb].filter(([key]) => !pa.has(key)).map(([, x]) => x)
+  };
+}
+
+if (typeof module !== 'undefined') module.exports = { HISTORY_KEY, HISTORY_LIMITS, createHistoryEntry, defaultRunName, entrySize, historySize, pruneHistory, compareRuns };
+if (typeof window !== 'undefined') window.ThroughlineRunHistory = { HISTORY_KEY, HISTORY_LIMITS, createHistoryEntry, defaultRunName, entrySize, historySize, pruneHistory, compareRuns };
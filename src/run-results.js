@@ -0,0 +1,64 @@
+// Helpers for reading a finished run (the object analyzePapers returns / throughline-results.json).
+// Pure data functions — no I/O — so they work on old results files as well as fresh runs.
+
+// Every paper placed in a track, with the track it sits in
+function trackPapers(results) {
+  const out = [];
+  (results.threads || []).forEach((thread, threadIndex) => {
+    for (const paper of thread.papers || []) out.push({ paper, threadIndex, theme: thread.theme });
+  });
+  return out;
+}
+
+// Papers the reader model passed to the agent, recovered from the tool results in the message history.
+// Returns Map<paperId, { id, title, year, authors, citations, verdict: 'selected'|'borderline', note, source }>.
+// A paper selected by any call counts as selected even if another call only marked it borderline.
+function readerSurfacedPapers(messages = []) {
+  const surfaced = new Map();
+  for (const msg of messages) {
+    if (msg.role !== 'tool' || typeof msg.content !== 'string') continue;
+    let result;
+    try { result = JSON.parse(msg.content); } catch (e) { continue; }
+    for (const verdict of ['papers', 'borderline']) {
+      for (const p of Array.isArray(result[verdict]) ? result[verdict] : []) {
+        if (!p || !p.id || !p.title) continue;
+        const existing = surfaced.get(p.id);
+        if (existing && (existing.verdict === 'selected' || verdict === 'borderline')) continue;
+        surfaced.set(p.id, {
+          id: p.id,
+          title: p.title,
+          year: p.year,
+          authors: p.authors,
+          citations: p.citations,
+          verdict: verdict === 'papers' ? 'selected' : 'borderline',
+          note: p.note || '',
+          source: result.source || ''
+        });
+      }
+    }
+  }
+  return surfaced;
+}
+
+// Same as readerSurfacedPapers, from the reader:verdict records of a run trace (src/run-trace.js). Unlike the
+// message history, the trace still has the verdicts whose tool results were cleared by context compaction.
+function readerSurfacedFromTrace(records = []) {
+  const surfaced = new Map();
+  for (const r of records) {
+    if (r.type !== 'reader:verdict' || !r.id || !r.title) continue;
+    const existing = surfaced.get(r.id);
+    if (existing && (existing.verdict === 'selected' || r.verdict === 'borderline')) continue;
+    surfaced.set(r.id, { id: r.id, title: r.title, year: r.year, authors: r.authors, citations: r.citations, verdict: r.verdict, note: r.note || '', source: r.source || '' });
+  }
+  return surfaced;
+}
+
+// The reader's verdicts on a run: results.readerVerdicts, which the analyzer records as it goes (subagents
+// included). Older results files fall back to the trace if given, else to the message history.
+function readerSurfaced(results, trace = null) {
+  if (Array.isArray(results.readerVerdicts)) return new Map(results.readerVerdicts.map(v => [v.id, v]));
+  return trace ? readerSurfacedFromTrace(trace) : readerSurfacedPapers(results.messages);
+}
+
+if (typeof module !== 'undefined') module.exports = { trackPapers, readerSurfacedPapers, readerSurfacedFromTrace, readerSurfaced };
+if (typeof window !== 'undefined') window.ThroughlineRunResults = { trackPapers, readerSurfacedPapers, readerSurfacedFromTrace, readerSurfaced };
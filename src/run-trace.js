@@ -0,0 +1,80 @@
+// Run trace — the analyzer's events as JSONL (throughline-trace.jsonl next to the results), so what the reader
+// surfaced, what the agent added and what each call cost can be scripted instead of read out of the coloured log.
+// One record per line, each with a `time` (ISO) and the event's `type` and `iteration`. Bulky payloads are
+// trimmed: tool results keep IDs and counts, primer edits keep the edit, not the whole primer. Each reader
+// call is written as a reader:result record followed by one reader:verdict record per selected/borderline paper.
+// traceRecords is also the shape of the extension's live activity feed (background.js); only the file
+// functions need Node.
+
+const TRACE_FILE = 'throughline-trace.jsonl';
+
+// Compact view of a tool result: paper objects become IDs, everything else is kept
+function summarizeToolResult(result) {
+  if (!result || typeof result !== 'object') return result;
+  const out = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (Array.isArray(value) && value.some(v => v && typeof v === 'object' && v.id)) out[key] = value.map(v => v.id);
+    else out[key] = value;
+  }
+  return out;
+}
+
+// An analyzer event → the trace records it becomes
+function traceRecords(event) {
+  switch (event.type) {
+    case 'tool:result':
+      return [{ ...event, result: summarizeToolResult(event.result) }];
+    case 'reader:result': {
+      const { selected, borderline, ...rest } = event;
+      const verdict = (kind) => (p) => ({ type: 'reader:verdict', iteration: event.iteration, ...(event.explore && { explore: event.explore }), verdict: kind, ...p, source: event.source, focus: event.focus });
+      return [
+        { ...rest, selected: selected.length, borderline: borderline.length },
+        ...selected.map(verdict('selected')),
+        ...borderline.map(verdict('borderline'))
+      ];
+    }
+    case 'paper:added':
+    case 'paper:removed': {
+      const { paper, ...rest } = event;
+      return [{ ...rest, paper: { paperId: paper.paperId, title: paper.title, year: paper.year, authors: (paper.authors || []).map(a => a.name), citationCount: paper.citationCount ?? null } }];
+    }
+    case 'primer:changed': {
+      const { primer, ...rest } = event;
+      return [{ ...rest, primerLength: primer.length }];
+    }
+    default:
+      return [event];
+  }
+}
+
+// Writes every event the analyzer emits to filePath until close(). append continues an existing trace (--resume)
+function attachRunTrace(analyzer, filePath, { append = false } = {}) {
+  const fs = require('fs');
+  const fd = fs.openSync(filePath, append ? 'a' : 'w');
+  const listener = (event) => {
+    const time = new Date().toISOString();
+    for (const record of traceRecords(event)) fs.writeSync(fd, JSON.stringify({ time, ...record }) + '\n');
+  };
+  analyzer.on('event', listener);
+  return {
+    filePath,
+    close() {
+      analyzer.off('event', listener);
+      fs.closeSync(fd);
+    }
+  };
+}
+
+// Parse a trace file back into records; a truncated last line (crashed run) is skipped
+function readRunTrace(filePath) {
+  const fs = require('fs');
+  const records = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch (e) { /* partial line */ }
+  }
+  return records;
+}
+
+if (typeof module !== 'undefined') module.exports = { TRACE_FILE, attachRunTrace, readRunTrace, traceRecords };
+if (typeof window !== 'undefined') window.ThroughlineRunTrace = { TRACE_FILE, traceRecords };
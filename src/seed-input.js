@@ -0,0 +1,216 @@
+// Seed paper input — turns DOIs, arXiv IDs, Semantic Scholar IDs/URLs and BibTeX/RIS records into seed objects.
+// Pure parsing, no I/O: the analyzer resolves each seed through the SS paper-lookup endpoint
+// (GET /graph/v1/paper/{lookupId}), where lookupId is e.g. "DOI:10.1109/...", "ARXIV:2306.14846" or a 40-char S2 ID.
+
+const S2_ID_RE = /^[0-9a-f]{40}$/i;
+const DOI_RE = /\b(10\.\d{4,9}\/[^\s"<>]+)/;
+const ARXIV_NEW_RE = /^(\d{4}\.\d{4,5})(v\d+)?$/;
+const ARXIV_OLD_RE = /^([a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?$/;
+
+const stripArxivVersion = (id) => id.replace(/v\d+$/, '');
+
+// Identifier string → SS lookup ID, or null if it doesn't look like an identifier (then it's a title)
+function parseSeedIdentifier(input) {
+  const s = String(input || '').trim();
+  if (!s) return null;
+  if (S2_ID_RE.test(s)) return s.toLowerCase();
+
+  const corpus = s.match(/^corpus(?:id)?:\s*(\d+)$/i);
+  if (corpus) return `CorpusId:${corpus[1]}`;
+
+  // semanticscholar.org/paper/<slug>/<id> or /paper/<id>; api.semanticscholar.org/CorpusID:123
+  if (/semanticscholar\.org/i.test(s)) {
+    const id = s.match(/\/([0-9a-f]{40})(?:[/?#]|$)/i);
+    if (id) return id[1].toLowerCase();
+    const corpusUrl = s.match(/CorpusId:(\d+)/i);
+    if (corpusUrl) return `CorpusId:${corpusUrl[1]}`;
+    return null;
+  }
+
+  // arxiv.org/abs/<id>, arxiv.org/pdf/<id>.pdf, "arXiv:<id>", bare new-style ID
+  const arxivUrl = s.match(/arxiv\.org\/(?:abs|pdf)\/(.+?)(?:\.pdf)?(?:[?#].*)?$/i);
+  const arxivCandidate = arxivUrl ? arxivUrl[1] : s.replace(/^arxiv:\s*/i, '');
+  const arxiv = arxivCandidate.match(ARXIV_NEW_RE) || (arxivUrl || /^arxiv:/i.test(s) ? arxivCandidate.match(ARXIV_OLD_RE) : null);
+  if (arxiv) return `ARXIV:${stripArxivVersion(arxiv[1])}`;
+
+  // doi.org URLs, "doi:10.x/...", bare DOIs
+  if (/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)?10\.\d{4,9}\//i.test(s)) {
+    const doi = decodeURIComponent(s).match(DOI_RE);
+    if (doi) return `DOI:${doi[1].replace(/[.,;]$/, '')}`;
+  }
+  return null;
+}
+
+// Seed object → SS lookup ID (paperId, then doi, arxivId, url, id), or null if only a title is known
+function seedLookupId(seed) {
+  if (seed.paperId && S2_ID_RE.test(seed.paperId)) return seed.paperId;
+  if (seed.doi) return parseSeedIdentifier(/^10\./.test(seed.doi) ? seed.doi : `doi:${seed.doi}`) || `DOI:${seed.doi}`;
+  if (seed.arxivId) return `ARXIV:${stripArxivVersion(String(seed.arxivId).replace(/^arxiv:\s*/i, ''))}`;
+  for (const field of ['url', 'id']) {
+    const id = seed[field] && parseSeedIdentifier(seed[field]);
+    if (id) return id;
+  }
+  return null;
+}
+
+// A seed given as a bare string: an identifier, or otherwise a title
+function seedFromString(input) {
+  const s = String(input).trim();
+  return parseSeedIdentifier(s) ? { id: s } : { title: s };
+}
+
+// Short human label for logs and unresolved-seed reports
+function seedLabel(seed) {
+  if (seed.title) return `"${seed.title}"`;
+  return seed.id || seed.url || (seed.doi && `DOI:${seed.doi}`) || (seed.arxivId && `arXiv:${seed.arxivId}`) || seed.paperId || '(empty seed)';
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Bibliography formats
+// ═══════════════════════════════════════════════════════════════════
+
+// Drop LaTeX grouping braces and the common escapes; collapse whitespace
+function cleanLatex(value) {
+  return value
+    .replace(/\\(?:textit|textbf|emph|mathrm)\{([^{}]*)\}/g, '$1')
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/[{}]/g, '')
+    .replace(/~/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "Last, First" → "First Last"
+const authorName = (name) => {
+  const parts = name.split(',').map(p => p.trim()).filter(Boolean);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name.trim();
+};
+
+const bibSeed = ({ title, year, authors, abstract, doi, arxivId, url }) => {
+  const seed = { title: title || undefined };
+  if (year && /\d{4}/.test(year)) seed.year = parseInt(year.match(/\d{4}/)[0], 10);
+  if (authors && authors.length > 0) seed.authors = authors.map(name => ({ name: authorName(name) }));
+  if (abstract) seed.abstract = abstract;
+  if (doi) seed.doi = doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+  if (arxivId) seed.arxivId = arxivId;
+  if (url) seed.url = url;
+  for (const key of Object.keys(seed)) if (seed[key] === undefined) delete seed[key];
+  return seed;
+};
+
+// Value of a BibTeX field starting at text[i]: {balanced braces}, "quoted", or a bare word/number
+function readBibValue(text, i) {
+  if (text[i] === '{') {
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+      if (text[j] === '{') depth++;
+      else if (text[j] === '}' && --depth === 0) return [text.slice(i + 1, j), j + 1];
+    }
+    return [text.slice(i + 1), text.length];
+  }
+  if (text[i] === '"') {
+    let depth = 0;
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '{') depth++;
+      else if (text[j] === '}') depth--;
+      else if (text[j] === '"' && depth === 0 && text[j - 1] !== '\\') return [text.slice(i + 1, j), j + 1];
+    }
+    return [text.slice(i + 1), text.length];
+  }
+  const m = text.slice(i).match(/^[^,}\s]+/);
+  return m ? [m[0], i + m[0].length] : ['', i];
+}
+
+function parseBibtex(text) {
+  const seeds = [];
+  const entryRe = /@(\w+)\s*[{(]/g;
+  let match;
+  while ((match = entryRe.exec(text))) {
+    const type = match[1].toLowerCase();
+    if (['comment', 'string', 'preamble'].includes(type)) continue;
+    let i = entryRe.lastIndex;
+    const keyEnd = text.indexOf(',', i);
+    if (keyEnd === -1) break;
+    i = keyEnd + 1;
+
+    const fields = {};
+    while (i < text.length) {
+      const field = text.slice(i).match(/^\s*([\w-]+)\s*=\s*/);
+      if (!field) break;
+      i += field[0].length;
+      let [value, next] = readBibValue(text, i);
+      // "a" # "b" concatenation
+      while (/^\s*#\s*/.test(text.slice(next))) {
+        next += text.slice(next).match(/^\s*#\s*/)[0].length;
+        const [more, after] = readBibValue(text, next);
+        value += more;
+        next = after;
+      }
+      fields[field[1].toLowerCase()] = cleanLatex(value);
+      i = next;
+      const sep = text.slice(i).match(/^\s*,?/);
+      i += sep[0].length;
+    }
+    entryRe.lastIndex = i;
+
+    const isArxiv = /arxiv/i.test(fields.archiveprefix || fields.eprinttype || '') || (fields.eprint && ARXIV_NEW_RE.test(fields.eprint));
+    seeds.push(bibSeed({
+      title: fields.title,
+      year: fields.year || fields.date,
+      authors: fields.author ? fields.author.split(/\s+and\s+/i).filter(a => a.toLowerCase() !== 'others') : [],
+      abstract: fields.abstract,
+      doi: fields.doi,
+      arxivId: isArxiv ? fields.eprint : undefined,
+      url: fields.url
+    }));
+  }
+  return seeds;
+}
+
+function parseRis(text) {
+  const seeds = [];
+  let record = null;
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!m) continue;
+    const [, tag, value] = m;
+    if (tag === 'TY') { record = { authors: [] }; continue; }
+    if (!record) continue;
+    if (tag === 'ER') {
+      const arxiv = (record.urls || []).map(parseSeedIdentifier).find(id => id && id.startsWith('ARXIV:'));
+      seeds.push(bibSeed({ ...record, arxivId: arxiv ? arxiv.slice(6) : undefined, url: (record.urls || [])[0] }));
+      record = null;
+      continue;
+    }
+    const v = value.trim();
+    if (['TI', 'T1'].includes(tag)) record.title = record.title || v;
+    else if (['AU', 'A1'].includes(tag)) record.authors.push(v);
+    else if (['PY', 'Y1', 'DA'].includes(tag)) record.year = record.year || v;
+    else if (tag === 'DO') record.doi = v;
+    else if (['AB', 'N2'].includes(tag)) record.abstract = record.abstract || v;
+    else if (tag === 'UR') (record.urls = record.urls || []).push(v);
+  }
+  return seeds;
+}
+
+// Seed file contents → seed objects. format: 'json' | 'bib' | 'ris' | 'txt' (one identifier or title per line)
+function parseSeedFile(text, format) {
+  switch (format) {
+    case 'bib': return parseBibtex(text);
+    case 'ris': return parseRis(text);
+    case 'txt':
+      return text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#')).map(seedFromString);
+    case 'json': {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data)) throw new Error('Seed JSON must be an array of papers or identifiers');
+      return data.map(entry => typeof entry === 'string' ? seedFromString(entry) : entry);
+    }
+    default:
+      throw new Error(`Unknown seed file format: ${format}`);
+  }
+}
+
+const SEED_FORMATS = { '.json': 'json', '.bib': 'bib', '.bibtex': 'bib', '.ris': 'ris', '.txt': 'txt' };
+
+if (typeof module !== 'undefined') module.exports = { parseSeedIdentifier, seedLookupId, seedFromString, seedLabel, parseBibtex, parseRis, parseSeedFile, SEED_FORMATS };
+if (typeof window !== 'undefined') window.SeedInput = { parseSeedIdentifier, seedLookupId, seedFromString, seedLabel, parseBibtex, parseRis, parseSeedFile, SEED_FORMATS };
@@ -1,8 +1,12 @@
 // Core ThroughlineAnalyzer - Single Agent with SS API Tools
-const crypto = require('crypto');
-const fs = require('fs');
-const pathModule = require('path');
-const { AsyncLocalStorage } = require('async_hooks');
+// In Node the runtime pieces (hashing, caches, events, log buffering) come from src/node-platform.js. The
+// extension's service worker importScripts src/browser-platform.js and the modules below first (background.js);
+// they share its global scope, so their exports are used through these objects rather than destructured.
+const isNode = typeof require === 'function';
+const platform = isNode ? require('./node-platform.js') : window.ThroughlinePlatform;
+const fs = isNode ? require('fs') : null; // checkpoints — CLI only
+const providerModule = isNode ? require('./llm-provider.js') : window;
+const seedInput = isNode ? require('./seed-input.js') : window.SeedInput;
 
 // ANSI color helpers
 const C = {
@@ -27,56 +31,150 @@ const C = {
   bcyan:    '\x1b[96m',
   bwhite:   '\x1b[97m',
 };
-const fmt = (color, ...parts) => `${color}${parts.join('')}${C.reset}`;
+const fmt = platform.ansiColors ? (color, ...parts) => `${color}${parts.join('')}${C.reset}` : (color, ...parts) => parts.join('');
 
 const RATIONALE_DESC = 'Briefly explain your rationale for this tool call. Helps make your exploration legible to the user.';
 
-class ThroughlineAnalyzer {
+// Filters shared by the discovery tools — applied to the fetched window before the reader sees it
+const PAPER_FILTER_PARAMS = {
+  min_year: { type: 'integer', description: 'Minimum publication year' },
+  max_year: { type: 'integer', description: 'Maximum publication year' },
+  min_citations: { type: 'integer', description: 'Minimum citation count' },
+  sort: { type: 'string', enum: ['relevance', 'newest', 'oldest', 'citations'], description: 'Order of results: relevance (Semantic Scholar\'s order, default), newest or oldest first by publication date, or most cited first. Use newest for "latest work from this lab/paper". Sorting ranks one window of the list at a time; keep passing next_offset to page through it.' }
+};
+
+// Discovery calls are recorded in the exploration ledger; repeats of an earlier call are answered from it
+const DISCOVERY_TOOLS = new Set(['search_papers', 'get_paper_citations', 'get_paper_references', 'get_citation_context', 'get_recommendations', 'search_authors', 'get_author_papers', 'explore']);
+const REFRESH_PARAM = { type: 'boolean', description: 'Run the call even if you already made the same call earlier (e.g. to re-read the list with a different focus). Without it, a repeat returns a pointer to the earlier result.' };
+
+// Every paper-returning SS call asks for the same fields so cached responses carry the links and
+// venue data reports and bibliography exports need
+const PAPER_FIELDS = 'paperId,externalIds,title,abstract,year,publicationDate,authors,citationCount,openAccessPdf,venue,journal,publicationTypes';
+const SS_CITATIONS_MAX = 200; // always fetch max so the URL is stable across runs → cache hits
+const SS_REFERENCES_MAX = 100; // likewise always the max: one stable URL per paper → cache hits
+const SS_AUTHOR_PAPERS_MAX = 100;
+const SS_AUTHOR_PAPERS_SORT_SCAN = 500; // papers scanned to sort an author's output (5 cached pages)
+// Edge-level fields of a citations / references entry: how the citing paper cites the cited one
+const CITATION_EDGE_FIELDS = 'contexts,intents,isInfluential';
+const CITATION_CONTEXT_MAX = 300; // chars of the first context snippet passed to the reader; get_citation_context returns them all
+
+// explore subagents: iteration budget (default / cap) and token budget (agent + reader, in + out)
+const EXPLORE_DEFAULT_ITERATIONS = 8;
+const EXPLORE_MAX_ITERATIONS = 20;
+const EXPLORE_DEFAULT_TOKENS = 300000;
+// Context compaction: once the agent's prompt passes the threshold, tool results older than the last few
+// iterations are cleared and summarised in an exploration ledger message
+const COMPACTION_DEFAULT_THRESHOLD = 120000; // agent prompt tokens
+const COMPACTION_KEEP_ITERATIONS = 5;
+const LEDGER_HEADER = 'EXPLORATION LEDGER';
+const LEDGER_TITLE_MAX = 60;
+const COMPACTED_RESULT = JSON.stringify({ compacted: true });
+const TRACK_STATE_PREFIX = 'Current track state (';
+// Run budgets: past this fraction of any limit the agent is told to consolidate and finish; at the limit the run stops
+const BUDGET_WIND_DOWN_AT = 0.85;
+// Events emitted by the analyzer (see emitEvent); each is also emitted as 'event' for catch-all subscribers
+const ANALYZER_EVENTS = ['run:start', 'run:end', 'llm:call', 'ss:request', 'agent:message', 'iteration:start', 'iteration:end', 'tool:start', 'tool:result', 'reader:result', 'track:created', 'track:renamed', 'track:deleted', 'paper:added', 'paper:removed', 'primer:changed', 'done'];
+// What a subagent can call: the discovery tools plus report — no track or primer edits, no nested explores
+const SUBAGENT_TOOLS = new Set(['search_papers', 'get_paper_citations', 'get_paper_references', 'get_citation_context', 'get_recommendations', 'search_authors', 'get_author_papers', 'view_exploration_history', 'report']);
+
+class ThroughlineAnalyzer extends platform.EventEmitter {
   constructor(apiConfig = {}) {
-    this._logStorage = new AsyncLocalStorage();
+    super();
+    this._logStorage = new platform.AsyncLocalStorage();
     const rawLogger = apiConfig.logger || {
       log: (...args) => console.log(...args),
       error: (...args) => console.error(...args),
       warn: (...args) => console.warn(...args)
     };
-    // Wrap logger so calls inside a reader tool execution go to that call's buffer
-    const wrap = (fn) => (...args) => {
+    // Wrap logger so calls inside a reader tool execution go to that call's buffer. Methods are called on the
+    // logger object, since the extension's logger uses `this`
+    const wrap = (method) => (...args) => {
       const buf = this._logStorage.getStore();
-      if (buf) buf.push(() => fn(...args));
-      else fn(...args);
+      if (buf) buf.push(() => rawLogger[method](...args));
+      else rawLogger[method](...args);
     };
-    this.logger = { log: wrap(rawLogger.log), error: wrap(rawLogger.error), warn: wrap(rawLogger.warn) };
+    this.logger = { log: wrap('log'), error: wrap('error'), warn: wrap('warn') };
+
+    // Set on subagents spawned by the explore tool: SS calls go through the parent (one rate limit, one cache)
+    this.parent = apiConfig.parent || null;
 
     this.threads = [];
     this.paperStore = new Map();
     this.processedPapers = new Set(); // paper IDs already added to any track
     this.paperIdCache = new Map();
-    this.minIterations = apiConfig.minIterations || 40;
+    this.citationEdges = new Set(); // "citedId>citingId" relations seen in citation/reference results
+    this.maxIterations = apiConfig.maxIterations || 100;
+    // An explicit minIterations skips the criteria complexity assessment
+    this.configuredMinIterations = apiConfig.minIterations || null;
+    this.minIterations = this.configuredMinIterations || 40;
     this.progressCallback = null;
-    this.debugTree = [];
+    this.debugTree = []; // iteration → tool call → reader verdicts / track and primer edits (see recordDebugNode)
+    this._debugEdits = [];
+    this._debugExplore = new Map(); // explore call ID → its subagent's nodes, until the explore returns
     this.stopped = false;
     this.seedPapers = [];
 
-    this.timeStats = { agentCalls: 0, agentTimeMs: 0, agentTimings: [], agentTokensIn: 0, agentTokensOut: 0, agentTokensCachedIn: 0, readerCalls: 0, readerTimeMs: 0, readerWallMs: 0, readerTimings: [], readerTokensIn: 0, readerTokensOut: 0, readerTokensCachedIn: 0, ssCalls: 0, ssTimeMs: 0, ssTimings: [], ssRetries: 0, ssCacheHits: 0 };
+    this.timeStats = { agentCalls: 0, agentTimeMs: 0, agentTimings: [], agentTokensIn: 0, agentTokensOut: 0, agentTokensCachedIn: 0, readerCalls: 0, readerTimeMs: 0, readerWallMs: 0, readerTimings: [], readerTokensIn: 0, readerTokensOut: 0, readerTokensCachedIn: 0, ssCalls: 0, ssTimeMs: 0, ssTimings: [], ssRetries: 0, ssCacheHits: 0, readerCacheHits: 0, exploreCalls: 0 };
     this.addPaperCallCount = 0;
     this.primer = '';
+    // 0 disables compaction
+    this.compactionThreshold = apiConfig.compactionThreshold ?? COMPACTION_DEFAULT_THRESHOLD;
+    this.lastPromptTokens = null;
+    this.explorationLedger = []; // one entry per discovery call: tool, args, result IDs, iteration
+    this.runningExplorations = new Map(); // exploration key → discovery call still in flight, for parallel repeats
+    this.readerVerdicts = new Map(); // paper ID → the reader's verdict on it, subagents' reads included
+    this.compactions = []; // { iteration, clearedThrough, tokensBefore, tokensAfter }
+    // Optional run limits (null = unlimited): agent + reader tokens, estimated USD, wall-clock ms
+    this.budget = {
+      tokens: apiConfig.maxTokens || null,
+      cost: apiConfig.maxCost || null,
+      timeMs: apiConfig.maxWallClockMs || null
+    };
+    this.budgetWindDown = false;
+    this.budgetStop = null;
+    this.runningSubagents = new Set(); // explore children still running; each holds its token allowance
 
     this.clusteringCriteria = apiConfig.clusteringCriteria || null;
     this.maxCompletionTokens = apiConfig.maxCompletionTokens || 15000;
 
+    // Record/replay of every LLM + SS exchange (src/cassette.js). Replay runs are fully offline and
+    // pin "today" to the recording date so prompts, and therefore results, are byte-identical.
+    this.cassette = apiConfig.cassette || null;
+    if (this.cassette?.replaying) this.fixedToday = this.cassette.meta.today;
+    else this.fixedToday = apiConfig.today || (this.cassette ? new Date().toISOString().slice(0, 10) : null);
+    if (this.cassette && !this.cassette.replaying) this.cassette.meta.today = this.fixedToday;
+
+    // Checkpoint written after every agent iteration so an interrupted run can be resumed
+    this.checkpointPath = apiConfig.checkpointPath || null;
+    this.sessionStartTime = null;
+    this.priorElapsedMs = 0;
+
     this.openRouterApiKey = apiConfig.openRouterApiKey || null;
-    this.semanticScholarApiKey = apiConfig.semanticScholarApiKey || process.env.SEMANTIC_SCHOLAR_API_KEY || null;
+    // All LLM traffic goes through one OpenAI-compatible provider (OpenRouter unless a base URL is configured)
+    const env = typeof process !== 'undefined' ? process.env : {};
+    this.llm = apiConfig.llmProvider || new providerModule.LLMProvider({
+      baseUrl: apiConfig.llmBaseUrl || env.LLM_BASE_URL,
+      apiKey: apiConfig.llmApiKey || env.LLM_API_KEY || this.openRouterApiKey,
+      agentModel: apiConfig.agentModel || env.AGENT_MODEL,
+      readerModel: apiConfig.readerModel || env.READER_MODEL,
+      complexityModel: apiConfig.complexityModel || env.COMPLEXITY_MODEL,
+      reasoning: apiConfig.llmReasoning,
+      modelPrices: apiConfig.modelPrices
+    });
+    this.semanticScholarApiKey = apiConfig.semanticScholarApiKey || env.SEMANTIC_SCHOLAR_API_KEY || null;
     // Authenticated = dedicated 1 RPS; unauthenticated = contested shared pool (aggressive 429s)
     this.semanticScholarDelay = apiConfig.semanticScholarDelay || (this.semanticScholarApiKey ? 1100 : 5000);
     this.lastSemanticScholarCall = 0;
 
-    this.ssCacheDir = apiConfig.ssCacheDir || pathModule.join(process.cwd(), '.ss-cache');
+    // Subagents share their parent's caches
     this.ssCacheTTL = apiConfig.ssCacheTTL || 90 * 24 * 60 * 60 * 1000;
     this.ssCacheEnabled = apiConfig.ssCacheEnabled !== false;
-    if (this.ssCacheEnabled) {
-      fs.mkdirSync(this.ssCacheDir, { recursive: true });
-      this.pruneStaleCache();
-    }
+    this.ssCache = this.parent ? this.parent.ssCache : this.ssCacheEnabled ? this.openCache('ss', apiConfig.ssCacheDir) : null;
+    // Reader verdicts from earlier runs. Off by default, and always off with a cassette: a recording must
+    // contain every reader call its replay will make
+    this.readerCacheEnabled = !!apiConfig.readerCacheEnabled && !this.cassette;
+    this.readerCache = this.parent ? this.parent.readerCache : this.readerCacheEnabled ? this.openCache('reader', apiConfig.readerCacheDir) : null;
+    this.readerCacheWrites = new Map(); // cache key → pending write, so concurrent reader calls merge in turn
   }
 
   async exploreUserInterest(seedPapers = [], onProgress) {
@@ -89,40 +187,97 @@ class ThroughlineAnalyzer {
   // ═══════════════════════════════════════════════════════════════════
 
   async analyze(seedPapers) {
-    const analysisStartTime = Date.now();
+    this.sessionStartTime = Date.now();
+    this.priorElapsedMs = 0;
     this.logger.log(fmt(C.bold + C.bcyan, '\n' + '═'.repeat(70)));
     this.logger.log(fmt(C.bold + C.bcyan, '  THROUGHLINE ANALYSIS — Agent Mode'));
     this.logger.log(fmt(C.bold + C.bcyan, '═'.repeat(70)));
-    if (seedPapers.length > 0) seedPapers.forEach((p, i) => this.logger.log(fmt(C.cyan, `  Seed ${i+1}: "${p.title}" (${p.year})`)));
+    if (seedPapers.length > 0) seedPapers.forEach((p, i) => this.logger.log(fmt(C.cyan, `  Seed ${i+1}: ${seedInput.seedLabel(p)}${p.year ? ` (${p.year})` : ''}`)));
     else this.logger.log(fmt(C.dim, '  No seed papers — starting from criteria alone'));
     this.logger.log(fmt(C.dim, `  SS: ${this.semanticScholarApiKey ? 'authenticated (1 RPS dedicated)' : 'unauthenticated (shared pool — expect 429s)'}`));
+    this.logger.log(fmt(C.dim, `  LLM: ${this.llm.describe()}`));
     this.logger.log(fmt(C.bold + C.bcyan, '═'.repeat(70)) + '\n');
 
     this.stopped = false;
+    this.agentError = null;
     this.debugTree = [];
+    this._debugEdits = [];
+    this._debugExplore = new Map();
     this.threads = [];
     this.processedPapers = new Set();
     this.paperStore = new Map();
-    this.seedPapers = seedPapers;
+    this.citationEdges = new Set();
     this.addPaperCallCount = 0;
     this.primer = '';
+    this.unresolvedSeeds = [];
+    this.lastPromptTokens = null;
+    this.explorationLedger = [];
+    this.readerVerdicts = new Map();
+    this.compactions = [];
+    this.budgetWindDown = false;
+    this.budgetStop = null;
 
     this.updateProgress('Starting analysis...', 'Agent exploring research landscape', 0);
 
-    // Resolve seed paper IDs upfront so the agent has them
+    // Resolve seeds upfront (filling in metadata for identifier-only seeds) so the agent has them
+    const resolvedSeeds = [];
     for (const seed of seedPapers) {
-      await this.resolvePaperId(seed);
+      await this.resolveSeed(seed);
       if (seed.paperId) {
         this.paperStore.set(seed.paperId, seed);
         this.processedPapers.add(seed.paperId);
         this.processedPapers.add(seed.title);
+      } else {
+        this.unresolvedSeeds.push(seedInput.seedLabel(seed));
       }
+      // A seed we know nothing about beyond an identifier would only confuse the agent
+      if (seed.paperId || seed.title) resolvedSeeds.push(seed);
+    }
+    if (this.unresolvedSeeds.length > 0) {
+      this.logger.warn(fmt(C.yellow, `  [seed] could not resolve ${this.unresolvedSeeds.length} of ${seedPapers.length} seeds on Semantic Scholar: ${this.unresolvedSeeds.join(', ')}`));
     }
+    this.seedPapers = resolvedSeeds;
+    this.emitEvent('run:start', { criteria: this.clusteringCriteria, models: { ...this.llm.models }, seeds: resolvedSeeds.map(p => ({ paperId: p.paperId, title: p.title, year: p.year })), unresolvedSeeds: this.unresolvedSeeds });
 
     // Run the agent
-    const messages = await this.runAgent(seedPapers);
+    const messages = await this.runAgent(resolvedSeeds);
+    return this.finishAnalysis(messages);
+  }
+
+  // Continue an interrupted run from a checkpoint written by saveCheckpoint()
+  async resumeFromCheckpoint(checkpoint, onProgress) {
+    this.progressCallback = onProgress;
+    this.sessionStartTime = Date.now();
+    this.stopped = false;
+    this.agentError = null;
+    this.budgetWindDown = false;
+    this.budgetStop = null;
+    this.restoreCheckpoint(checkpoint);
+
+    const totalPapers = this.threads.reduce((sum, t) => sum + t.papers.length, 0);
+    this.logger.log(fmt(C.bold + C.bcyan, '\n' + '═'.repeat(70)));
+    this.logger.log(fmt(C.bold + C.bcyan, `  THROUGHLINE ANALYSIS — Resuming after iteration ${checkpoint.iteration}`));
+    this.logger.log(fmt(C.bold + C.bcyan, '═'.repeat(70)));
+    this.logger.log(fmt(C.cyan, `  ${this.threads.length} tracks, ${totalPapers} papers, primer ${this.primer.length} chars, ${checkpoint.messages.length} messages`));
+    this.logger.log(fmt(C.bold + C.bcyan, '═'.repeat(70)) + '\n');
+
+    this.updateProgress('Resuming analysis...', `Continuing from iteration ${checkpoint.iteration}`, null);
+    this.emitEvent('run:start', { criteria: this.clusteringCriteria, models: { ...this.llm.models }, seeds: this.seedPapers.map(p => ({ paperId: p.paperId, title: p.title, year: p.year })), resumedFrom: checkpoint.iteration });
+
+    const messages = await this.runAgent(this.seedPapers, {
+      messages: checkpoint.messages,
+      iteration: checkpoint.iteration,
+      minIterations: checkpoint.minIterations
+    });
+    return this.finishAnalysis(messages);
+  }
 
-    const totalTime = ((Date.now() - analysisStartTime) / 1000).toFixed(1);
+  finishAnalysis(messages) {
+    // Keep the checkpoint when the agent loop was cut short by an LLM failure so the run can be resumed
+    if (this.agentError) this.logger.warn(fmt(C.yellow, `  [checkpoint] agent stopped early (${this.agentError}) — resume with --resume ${this.checkpointPath}`));
+    else if (this.budgetStop && this.checkpointPath) this.logger.warn(fmt(C.yellow, `  [checkpoint] run stopped by the ${this.budgetStop} budget — resume with a larger budget and --resume ${this.checkpointPath}`));
+    else this.clearCheckpoint();
+    const totalTime = (this.elapsedMs() / 1000).toFixed(1);
     this.logger.log(fmt(C.bold + C.bgreen, '\n' + '═'.repeat(70)));
     this.logger.log(fmt(C.bold + C.bgreen, '  ANALYSIS COMPLETE'));
     this.logger.log(fmt(C.bold + C.bgreen, '═'.repeat(70)));
@@ -134,50 +289,107 @@ class ThroughlineAnalyzer {
     const bar = (ms) => '█'.repeat(Math.min(20, Math.round((ms / 1000) / totalTime * 20)));
     const readerConcurrency = ts.readerWallMs > 0 ? (ts.readerTimeMs / ts.readerWallMs).toFixed(1) : null;
     const readerConcurrencyStr = readerConcurrency && parseFloat(readerConcurrency) > 1.1 ? ` [${readerConcurrency}× concurrency, ${(ts.readerTimeMs/1000).toFixed(0)}s cumulative]` : '';
+    const readerCacheStr = ts.readerCacheHits > 0 ? ` (${ts.readerCacheHits} verdicts from cache)` : '';
     const unaccounted = totalTime - (ts.agentTimeMs + ts.readerWallMs + ts.ssTimeMs) / 1000;
     this.logger.log(fmt(C.bwhite, `\n  Time breakdown (wall-clock, total ${totalTime}s):`));
     const tokStr = (inn, out, cached) => `${inn.toLocaleString()} in${cached ? ` (${cached.toLocaleString()} cached)` : ''}, ${out.toLocaleString()} out`;
     this.logger.log(fmt(C.bcyan,  `  Agent  LLM │${bar(ts.agentTimeMs).padEnd(20)}│ ${(ts.agentTimeMs/1000).toFixed(1)}s ${pct(ts.agentTimeMs)} — ${ts.agentCalls} calls, avg ${avg(ts.agentTimings)}ms, max ${max(ts.agentTimings)}ms — ${tokStr(ts.agentTokensIn, ts.agentTokensOut, ts.agentTokensCachedIn)}`));
-    this.logger.log(fmt(C.brown,  `  Reader LLM │${bar(ts.readerWallMs).padEnd(20)}│ ${(ts.readerWallMs/1000).toFixed(1)}s ${pct(ts.readerWallMs)}${readerConcurrencyStr} — ${ts.readerCalls} calls, avg ${avg(ts.readerTimings)}ms, max ${max(ts.readerTimings)}ms — ${tokStr(ts.readerTokensIn, ts.readerTokensOut, ts.readerTokensCachedIn)}`));
+    this.logger.log(fmt(C.brown,  `  Reader LLM │${bar(ts.readerWallMs).padEnd(20)}│ ${(ts.readerWallMs/1000).toFixed(1)}s ${pct(ts.readerWallMs)}${readerConcurrencyStr} — ${ts.readerCalls} calls${readerCacheStr}, avg ${avg(ts.readerTimings)}ms, max ${max(ts.readerTimings)}ms — ${tokStr(ts.readerTokensIn, ts.readerTokensOut, ts.readerTokensCachedIn)}`));
     this.logger.log(fmt(C.green,  `  SS API     │${bar(ts.ssTimeMs).padEnd(20)}│ ${(ts.ssTimeMs/1000).toFixed(1)}s ${pct(ts.ssTimeMs)} — ${ts.ssCalls} calls, avg ${avg(ts.ssTimings)}ms, max ${max(ts.ssTimings)}ms (${ts.ssCacheHits} cache hits, ${ts.ssRetries} retries)`));
     this.logger.log(fmt(C.dim,    `  Other/wait  │${'░'.repeat(20)}│ ${unaccounted.toFixed(1)}s ${((unaccounted/totalTime)*100).toFixed(0)}%`));
+    if (this.compactions.length > 0) {
+      const saved = this.compactions.reduce((n, c) => n + c.tokensBefore - c.tokensAfter, 0);
+      const each = this.compactions.map(c => `iteration ${c.iteration}: −${(c.tokensBefore - c.tokensAfter).toLocaleString()}`).join(', ');
+      this.logger.log(fmt(C.magenta, `  Compaction │${' '.repeat(20)}│ ${this.compactions.length}× saved ~${saved.toLocaleString()} prompt tokens (${each})`));
+    }
+    const usage = this.budgetUsage();
+    if (usage.cost != null || this.budgetStop) {
+      const cost = usage.cost != null ? `~$${usage.cost.toFixed(2)} estimated` : 'cost unknown';
+      this.logger.log(fmt(this.budgetStop ? C.yellow : C.dim, `  Budget     │${' '.repeat(20)}│ ${usage.tokens.toLocaleString()} tokens, ${cost}${this.budgetStop ? ` — stopped at the ${this.budgetStop} limit` : ''}`));
+    }
     this.logger.log(fmt(C.bold + C.bgreen, '═'.repeat(70)) + '\n');
 
     this.updateProgress('Analysis complete', `Found ${this.threads.length} research threads`, 100);
-    return { threads: this.threads, primer: this.primer, messages };
+    const stats = this.runStats();
+    this.emitEvent('run:end', {
+      tracks: this.threads.map(t => ({ theme: t.theme, papers: t.papers.map(p => p.paperId) })),
+      primerLength: this.primer.length,
+      stats,
+      elapsedMs: this.elapsedMs(),
+      agentError: this.agentError || null,
+      budgetStop: this.budgetStop
+    });
+    return { threads: this.threads, primer: this.primer, messages, unresolvedSeeds: this.unresolvedSeeds || [], readerVerdicts: this.readerVerdictList(), stats };
+  }
+
+  // Run summary for reports. Counts and tokens only — wall-clock timings differ between a run and its replay
+  runStats() {
+    const ts = this.timeStats;
+    return {
+      iterations: this.currentIteration || 0,
+      papersConsidered: this.paperStore.size,
+      agentCalls: ts.agentCalls,
+      readerCalls: ts.readerCalls,
+      agentTokens: { in: ts.agentTokensIn, out: ts.agentTokensOut },
+      readerTokens: { in: ts.readerTokensIn, out: ts.readerTokensOut },
+      compaction: { count: this.compactions.length, tokensSaved: this.compactions.reduce((n, c) => n + c.tokensBefore - c.tokensAfter, 0) },
+      estimatedCost: this.budgetUsage().cost,
+      budgetStop: this.budgetStop,
+      models: { ...this.llm.models }
+    };
   }
 
-  async resolvePaperId(paper) {
-    if (paper.paperId && paper.paperId.length >= 10) return;
-    if (this.paperIdCache.has(paper.title)) {
-      paper.paperId = this.paperIdCache.get(paper.title);
-      return;
+  // Resolve a seed to an SS paper: by identifier (paperId / DOI / arXiv / S2 URL) through the paper-lookup
+  // endpoint, otherwise by exact title match. Fills in any metadata the seed is missing. Leaves paperId unset on failure.
+  async resolveSeed(seed) {
+    if (seed.paperId && seed.paperId.length >= 10 && seed.title) return true;
+    const lookupId = seedInput.seedLookupId(seed);
+    let match = null;
+    try {
+      if (lookupId) {
+        const resp = await this.throttledSemanticScholarCall({
+          url: `https://api.semanticscholar.org/graph/v1/paper/${encodeURI(lookupId)}?fields=${PAPER_FIELDS}`,
+          method: 'GET'
+        }, `seed lookup: ${lookupId}`);
+        match = resp.success ? resp.data : null;
+      } else if (seed.title) {
+        if (this.paperIdCache.has(seed.title)) {
+          seed.paperId = this.paperIdCache.get(seed.title);
+          return true;
+        }
+        const resp = await this.throttledSemanticScholarCall({
+          url: `https://api.semanticscholar.org/graph/v1/paper/search/match?query=${encodeURIComponent(seed.title)}&fields=${PAPER_FIELDS}`,
+          method: 'GET'
+        }, `paper match: ${seed.title.substring(0, 30)}...`);
+        match = resp.success && resp.data.data && resp.data.data.length > 0 ? resp.data.data[0] : null;
+      }
+    } catch (e) {
+      this.logger.warn(fmt(C.yellow, `  [seed] lookup failed for ${seedInput.seedLabel(seed)}: ${e.message}`));
+      return false;
     }
-    const resp = await this.throttledSemanticScholarCall({
-      url: `https://api.semanticscholar.org/graph/v1/paper/search/match?query=${encodeURIComponent(paper.title)}&fields=paperId,title,abstract,year,publicationDate,authors,citationCount`,
-      method: 'GET'
-    }, `paper match: ${paper.title.substring(0, 30)}...`);
-    if (resp.data.data && resp.data.data.length > 0) {
-      paper.paperId = resp.data.data[0].paperId;
-      this.paperIdCache.set(paper.title, paper.paperId);
+    if (!match || !match.paperId) return false;
+
+    seed.paperId = match.paperId;
+    for (const field of ['title', 'abstract', 'year', 'publicationDate', 'authors', 'citationCount', 'externalIds', 'openAccessPdf', 'venue', 'journal', 'publicationTypes']) {
+      if ((seed[field] == null || seed[field] === '') && match[field] != null) seed[field] = match[field];
     }
+    if (seed.title) this.paperIdCache.set(seed.title, seed.paperId);
+    if (lookupId) this.logger.log(fmt(C.cyan, `  [seed] ${lookupId} → "${seed.title}" (${seed.year})`));
+    return true;
   }
 
   // ═══════════════════════════════════════════════════════════════════
   // THE AGENT
   // ═══════════════════════════════════════════════════════════════════
 
-  async runAgent(seedPapers) {
-    const criteria = (this.clusteringCriteria && this.clusteringCriteria.trim())
-      || 'No additional criteria provided by the user.';
-
+  buildInitialMessages(seedPapers, criteria) {
     const seedSection = seedPapers.length > 0
       ? `SEED PAPER(S):\n${seedPapers.map(p =>
-          `- "${p.title}" (${p.year}) by ${(p.authors || []).map(a => a.name).join(', ')} [ID: ${p.paperId}]\n  Abstract: ${p.abstract || 'N/A'}`
+          `- "${p.title}" (${p.year}) by ${(p.authors || []).map(a => a.name).join(', ')} [ID: ${p.paperId || 'not found on Semantic Scholar'}]\n  Abstract: ${p.abstract || 'N/A'}`
         ).join('\n')}\n\n`
       : '';
 
-    const today = new Date().toISOString().slice(0, 10);
+    const today = this.today();
     const systemPrompt = `You are a research exploration agent. Your job is to explore the academic literature based on the User's interest and build research tracks that satisfy the user's research criteria. You have access to the Semantic Scholar API through tools.
 
 Be aware that as an LLM, your training cut-off is in the past, and you must be aware of today's date in order to correctly gauge how recent or old research is. Today's date: ${today}
@@ -207,33 +419,54 @@ You can make multiple tool calls in a single response — use this when you have
 
 Keep candidate directions provisional until you can explain why a candidate is distinct enough, under the user's criteria, to deserve its own track rather than remaining supporting evidence for another track.
 
-Tool calls that return papers will show you paper IDs and author IDs. You need paper IDs to add papers to tracks or to look up their citations/references. Use author IDs (from paper results) with get_author_papers for precise lookups. Papers must appear in a tool result before you can add them.`;
+Tool calls that return papers will show you paper IDs and author IDs. You need paper IDs to add papers to tracks or to look up their citations/references. Use author IDs (from paper results) with get_author_papers for precise lookups. Papers must appear in a tool result before you can add them.
 
-    const messages = [
+Citation and reference results include a "citation" field when Semantic Scholar knows how the two papers relate (intents, influential flag, a context sentence). Before treating one paper as the direct successor of another in a track, use get_citation_context to check whether it builds on it or only mentions it in related work.
+
+Every discovery call is recorded. Repeating one (same tool and arguments, ignoring rationale and focus) returns the earlier result instead of running again; pass refresh: true when you really do want a fresh read, e.g. with a different focus. view_exploration_history lists everything explored so far.`;
+
+    return [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: 'Begin exploring and build tracks that satisfy the user\'s research criteria.' }
     ];
+  }
 
-    let iterations = 0;
-    const maxIterations = 100;
-    const minIterations = await this.assessCriteriaComplexity(criteria);
-    this.currentIteration = 0;
+  async runAgent(seedPapers, resume = null) {
+    const criteria = (this.clusteringCriteria && this.clusteringCriteria.trim())
+      || 'No additional criteria provided by the user.';
+    const messages = resume ? resume.messages : this.buildInitialMessages(seedPapers, criteria);
+
+    let iterations = resume ? resume.iteration : 0;
+    const maxIterations = this.maxIterations;
+    const minIterations = this.configuredMinIterations
+      || (resume ? resume.minIterations : await this.assessCriteriaComplexity(criteria));
+    if (this.configuredMinIterations) this.logger.log(fmt(C.bwhite, `  minIterations: ${minIterations} (configured)  maxIterations: ${maxIterations}`));
+    this.currentIteration = iterations;
     this.minIterations = minIterations;
+    this.warnUnpricedModels();
 
     while (iterations < maxIterations) {
       if (await this.checkStopped()) throw new Error('Analysis stopped by user');
+      // Messages are consistent here (every tool call answered), so this is the safe point to compact and snapshot
+      if (iterations > 0) {
+        this.maybeCompact(messages, iterations);
+        this.saveCheckpoint(messages, iterations);
+      }
+      if (this.checkBudget(messages)) break;
       iterations++;
       this.currentIteration = iterations;
 
       const totalPapers = this.threads.reduce((sum, t) => sum + t.papers.length, 0);
       this.logger.log(fmt(C.bold + C.bcyan, `\n┌─ Iteration ${iterations} `) + fmt(C.dim, `(${this.threads.length} tracks, ${totalPapers} papers)`));
       this.updateProgress(`Agent exploring...`, `${this.threads.length} tracks, ${totalPapers} papers (iteration ${iterations})`, null);
+      this.emitEvent('iteration:start', { tracks: this.threads.length, papers: totalPapers });
 
       let response;
       try {
         response = await this.callLLMWithTools(messages);
       } catch (e) {
         this.logger.error(fmt(C.bred, `[AGENT] LLM call failed: ${e.message}`));
+        if (this.checkpointPath) this.agentError = e.message;
         break;
       }
 
@@ -244,20 +477,22 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
       }
 
       if (!response.toolCalls || response.toolCalls.length === 0) {
-        if (iterations < minIterations) {
+        if (iterations < minIterations && !this.budgetWindDown) {
           this.logger.log(fmt(C.yellow, `│ (no tool calls at iteration ${iterations}/${minIterations}) — injecting error`));
           messages.push({ role: 'user', content: `You must call a tool. You are on iteration ${iterations} of a minimum ${minIterations}. Keep exploring.` });
+          this.emitIterationEnd(0);
           continue;
         }
         this.logger.log(fmt(C.dim, '│ (no tool calls — agent finished)'));
+        this.emitIterationEnd(0);
         break;
       }
 
       let agentDone = false;
 
-      // Reader tools are slow (SS fetch + LLM filter) — launch them all concurrently.
+      // Reader tools (SS fetch + LLM filter) and explore subagents are slow — launch them all concurrently.
       // Fast tools (track ops, done, search_authors) run sequentially in the result loop below.
-      const READER_TOOLS = new Set(['search_papers', 'get_paper_citations', 'get_paper_references', 'get_recommendations', 'get_author_papers']);
+      const READER_TOOLS = new Set(['search_papers', 'get_paper_citations', 'get_paper_references', 'get_recommendations', 'get_author_papers', 'explore']);
 
       // Parse args and kick off reader tools immediately; defer logging until result loop
       // so each call's start line prints adjacent to its results (not all bunched at the top).
@@ -270,12 +505,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
           return { call, toolName, toolArgs: null, parseError: e, promise: null, logStart: null };
         }
 
-        const argSummary = toolArgs.paper_id ? `paper:${toolArgs.paper_id}`
-          : toolArgs.query ? `"${toolArgs.query}"`
-          : toolArgs.author_id ? `author_id:${toolArgs.author_id}`
-          : toolArgs.theme ? `"${toolArgs.theme}"`
-          : toolArgs.track_index !== undefined ? `track:${toolArgs.track_index}`
-          : '';
+        const argSummary = this.toolArgSummary(toolArgs);
         const focusSummary = toolArgs.focus ? fmt(C.dim, `  focus: "${toolArgs.focus}"`) : '';
         const logStart = () => {
           if (toolArgs.rationale) this.logger.log(fmt(C.bold + C.bcyan, `│ [Agent tool call rationale] `) + fmt(C.bcyan, toolArgs.rationale));
@@ -284,7 +514,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
 
         const isReaderTool = READER_TOOLS.has(toolName);
         const logBuf = isReaderTool ? [] : null;
-        const promise = isReaderTool ? this._logStorage.run(logBuf, () => this.executeTool(toolName, toolArgs)) : null;
+        const promise = isReaderTool ? this._logStorage.run(logBuf, () => this.executeTool(toolName, toolArgs, call.id)) : null;
         return { call, toolName, toolArgs, parseError: null, promise, logStart, logBuf };
       });
 
@@ -293,7 +523,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
       await Promise.all(pendingCalls.filter(p => p.promise).map(p => p.promise));
       if (pendingCalls.some(p => p.promise)) this.timeStats.readerWallMs += Date.now() - readerBatchStart;
 
-      for (const { call, toolName, toolArgs, parseError, promise, logStart } of pendingCalls) {
+      for (const { call, toolName, toolArgs, parseError, promise, logStart, logBuf } of pendingCalls) {
 
         if (parseError) {
           const errMsg = { role: 'tool', tool_call_id: call.id, content: JSON.stringify({ error: `Bad arguments: ${parseError.message}` }) };
@@ -303,7 +533,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
           continue;
         }
 
-        const result = promise ? await promise : await this.executeTool(toolName, toolArgs);
+        const result = promise ? await promise : await this.executeTool(toolName, toolArgs, call.id);
         logStart();
         if (logBuf) logBuf.forEach(fn => fn());
         const toolMsg = { role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) };
@@ -331,6 +561,8 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
           // logged inside toolRemovePapersFromTrack
         } else if (result.appended || result.updated) {
           // logged inside toolAppendToPrimer / toolUpdatePrimer
+        } else if (result.intents) {
+          // logged inside toolGetCitationContext
         } else if (result.done) {
           this.logger.log(fmt(C.bgreen, `│   ✔ Done: ${result.summary}`));
         }
@@ -346,6 +578,8 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
         messages.push({ role: 'user', content: summary });
       }
 
+      this.emitIterationEnd(response.toolCalls.length);
+
       if (agentDone) {
         this.logger.log(fmt(C.bold + C.bgreen, '└─ Agent signaled done.'));
         break;
@@ -420,7 +654,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
   // ═══════════════════════════════════════════════════════════════════
 
   getToolDefinitions() {
-    return [
+    const tools = [
       {
         type: 'function',
         function: {
@@ -432,8 +666,9 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
               rationale: { type: 'string', description: RATIONALE_DESC },
               query: { type: 'string', description: 'Search query' },
               focus: { type: 'string', description: 'What you are looking for in these results. The reader model uses this to filter and highlight relevant papers.' },
-              min_year: { type: 'integer', description: 'Minimum publication year' },
-              limit: { type: 'integer', description: 'Max results (default 20, max 50)' }
+              limit: { type: 'integer', description: 'Max results (default 20, max 50)' },
+              ...PAPER_FILTER_PARAMS,
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'query', 'focus']
           }
@@ -450,7 +685,10 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
               rationale: { type: 'string', description: RATIONALE_DESC },
               paper_id: { type: 'string', description: 'Semantic Scholar paper ID' },
               focus: { type: 'string', description: 'What you are looking for in these results. The reader model uses this to filter and highlight relevant papers.' },
-              limit: { type: 'integer', description: 'Max results (default 100, max 200)' }
+              limit: { type: 'integer', description: 'Max results (default 100, max 200)' },
+              offset: { type: 'integer', minimum: 0, description: 'Position in the full list to start from (default 0). Results report total, has_more and next_offset — pass next_offset to read the next window.' },
+              ...PAPER_FILTER_PARAMS,
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'paper_id', 'focus']
           }
@@ -467,12 +705,32 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
               rationale: { type: 'string', description: RATIONALE_DESC },
               paper_id: { type: 'string', description: 'Semantic Scholar paper ID' },
               focus: { type: 'string', description: 'What you are looking for in these results. The reader model uses this to filter and highlight relevant papers.' },
-              limit: { type: 'integer', description: 'Max results (default 50, max 100)' }
+              limit: { type: 'integer', description: 'Max results (default 50, max 100)' },
+              offset: { type: 'integer', minimum: 0, description: 'Position in the full list to start from (default 0). Results report total, has_more and next_offset — pass next_offset to read the next window.' },
+              ...PAPER_FILTER_PARAMS,
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'paper_id', 'focus']
           }
         }
       },
+      {
+        type: 'function',
+        function: {
+          name: 'get_citation_context',
+          description: 'Get how one paper cites another: the sentences in which the citing paper mentions the cited one, Semantic Scholar\'s citation intents (background, methodology, result) and whether the citation is flagged as influential. Use it when deciding lineage — to tell a paper that builds directly on another apart from one that only mentions it in related work.',
+          parameters: {
+            type: 'object',
+            properties: {
+              rationale: { type: 'string', description: RATIONALE_DESC },
+              citing_id: { type: 'string', description: 'Semantic Scholar paper ID of the citing (newer) paper' },
+              cited_id: { type: 'string', description: 'Semantic Scholar paper ID of the cited (older) paper' },
+              refresh: REFRESH_PARAM
+            },
+            required: ['rationale', 'citing_id', 'cited_id']
+          }
+        }
+      },
       {
         type: 'function',
         function: {
@@ -484,7 +742,9 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
               rationale: { type: 'string', description: RATIONALE_DESC },
               paper_id: { type: 'string', description: 'Semantic Scholar paper ID' },
               focus: { type: 'string', description: 'What you are looking for in these results. The reader model uses this to filter and highlight relevant papers.' },
-              limit: { type: 'integer', description: 'Max results (default 50, max 100)' }
+              limit: { type: 'integer', description: 'Max results (default 50, max 100)' },
+              ...PAPER_FILTER_PARAMS,
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'paper_id', 'focus']
           }
@@ -499,7 +759,8 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
             type: 'object',
             properties: {
               rationale: { type: 'string', description: RATIONALE_DESC },
-              query: { type: 'string', description: 'Author name only — do not include affiliation, institution, or any other context. E.g. "Yann LeCun", "Fei-Fei Li", "Geoffrey Hinton" — never "Yann LeCun Meta", "Fei-Fei Li Stanford", "Geoffrey Hinton Google".' }
+              query: { type: 'string', description: 'Author name only — do not include affiliation, institution, or any other context. E.g. "Yann LeCun", "Fei-Fei Li", "Geoffrey Hinton" — never "Yann LeCun Meta", "Fei-Fei Li Stanford", "Geoffrey Hinton Google".' },
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'query']
           }
@@ -516,12 +777,47 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
               rationale: { type: 'string', description: RATIONALE_DESC },
               author_id: { type: 'string', description: 'Semantic Scholar author ID' },
               focus: { type: 'string', description: 'What you are looking for in these results. The reader model uses this to filter and highlight relevant papers.' },
-              min_year: { type: 'integer', description: 'Minimum publication year' }
+              limit: { type: 'integer', description: 'Max results (default 50, max 100)' },
+              offset: { type: 'integer', minimum: 0, description: 'Position in the full list to start from (default 0). Results report total, has_more and next_offset — pass next_offset to read the next window.' },
+              ...PAPER_FILTER_PARAMS,
+              refresh: REFRESH_PARAM
             },
             required: ['rationale', 'author_id', 'focus']
           }
         }
       },
+      {
+        type: 'function',
+        function: {
+          name: 'view_exploration_history',
+          description: 'List the discovery calls made so far in this run — searches, citation/reference expansions, recommendations, author lookups and explores — with the iteration, focus and papers each one surfaced. Check it before re-running a search or expansion.',
+          parameters: {
+            type: 'object',
+            properties: {
+              rationale: { type: 'string', description: RATIONALE_DESC },
+              tool: { type: 'string', description: 'Only show calls to this tool (e.g. "search_papers")' }
+            },
+            required: ['rationale']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'explore',
+          description: 'Delegate a focused exploration goal to a subagent with its own context window and the discovery tools. It makes as many Semantic Scholar calls as its budget allows and returns only a distilled report plus candidate papers, which you can then add to tracks. Use it for self-contained questions that would otherwise take many calls and flood your context — e.g. "trace what the authors of X did after 2021", "find the benchmark papers this subfield evaluates on". Several explores in one response run concurrently. Prefer direct tools for single lookups.',
+          parameters: {
+            type: 'object',
+            properties: {
+              rationale: { type: 'string', description: RATIONALE_DESC },
+              goal: { type: 'string', description: 'What the subagent should find out, with any paper IDs, author IDs or terminology it should start from. It sees the user\'s criteria and your current tracks, but not your conversation.' },
+              budget: { type: 'integer', description: `Max subagent iterations (default ${EXPLORE_DEFAULT_ITERATIONS}, max ${EXPLORE_MAX_ITERATIONS})` },
+              token_budget: { type: 'integer', description: `Max tokens the subagent and its reader may use (default ${EXPLORE_DEFAULT_TOKENS})` }
+            },
+            required: ['rationale', 'goal']
+          }
+        }
+      },
       {
         type: 'function',
         function: {
@@ -689,23 +985,82 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
             required: ['rationale', 'summary']
           }
         }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'report',
+          description: 'Finish your exploration and hand your findings back to the main agent. This is all the main agent will see.',
+          parameters: {
+            type: 'object',
+            properties: {
+              rationale: { type: 'string', description: RATIONALE_DESC },
+              summary: { type: 'string', description: 'Distilled answer to your goal: what you found, how the pieces relate, and what remains open' },
+              papers: {
+                type: 'array',
+                description: 'Candidate papers for the main agent\'s tracks — IDs from your tool results',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string', description: 'Semantic Scholar paper ID' },
+                    note: { type: 'string', description: 'Why this paper matters for the goal' }
+                  },
+                  required: ['id', 'note']
+                }
+              }
+            },
+            required: ['rationale', 'summary', 'papers']
+          }
+        }
       }
     ];
+    if (this.parent) return tools.filter(t => SUBAGENT_TOOLS.has(t.function.name));
+    return tools.filter(t => t.function.name !== 'report');
   }
 
   // ═══════════════════════════════════════════════════════════════════
   // Tool Execution
   // ═══════════════════════════════════════════════════════════════════
 
-  async executeTool(name, args) {
+  // Discovery calls go through the exploration ledger: repeats are answered from it, everything else is recorded
+  async executeTool(name, args, callId = null) {
+    const start = Date.now();
+    this.emitEvent('tool:start', { callId, tool: name, args });
+    const dedupe = DISCOVERY_TOOLS.has(name) && name !== 'explore' && !args.refresh;
+    const key = dedupe ? this.explorationKey(name, args) : null;
+    // Tool calls of one turn run in parallel: an identical call still in flight is waited for, then answered from the ledger
+    while (key && this.runningExplorations.has(key)) await this.runningExplorations.get(key);
+    const earlier = dedupe ? this.findEarlierExploration(name, args) : null;
+    let result;
+    if (earlier) {
+      result = this.duplicateExplorationResult(earlier);
+    } else {
+      const run = this.runTool(name, args, callId);
+      if (key) this.runningExplorations.set(key, run);
+      try {
+        result = await run;
+        if (DISCOVERY_TOOLS.has(name)) this.recordExploration(name, args, result);
+      } finally {
+        if (key) this.runningExplorations.delete(key);
+      }
+    }
+    this.emitEvent('tool:result', { callId, tool: name, args, result, error: result.error || null, durationMs: Date.now() - start });
+    return result;
+  }
+
+  async runTool(name, args, callId = null) {
     try {
       switch (name) {
         case 'search_papers': return await this.toolSearchPapers(args);
         case 'get_paper_citations': return await this.toolGetCitations(args);
         case 'get_paper_references': return await this.toolGetReferences(args);
+        case 'get_citation_context': return await this.toolGetCitationContext(args);
         case 'get_recommendations': return await this.toolGetRecommendations(args);
         case 'search_authors': return await this.toolSearchAuthors(args);
         case 'get_author_papers': return await this.toolGetAuthorPapers(args);
+        case 'view_exploration_history': return this.toolViewExplorationHistory(args);
+        case 'explore': return await this.toolExplore(args, callId);
+        case 'report': return this.toolReport(args);
         case 'create_track': return this.toolCreateTrack(args);
         case 'add_paper_to_track': return this.toolAddPaperToTrack(args);
         case 'view_tracks': return this.toolViewTracks();
@@ -724,59 +1079,106 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     }
   }
 
-  async toolSearchPapers({ query, focus, min_year, limit }) {
+  async toolSearchPapers({ query, focus, limit, ...filters }) {
     const SS_SEARCH_MAX = 50; // always fetch max so the URL is stable across runs → cache hits
     const requested = Math.min(limit || 20, SS_SEARCH_MAX);
-    let url = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(query)}&fields=paperId,title,abstract,year,publicationDate,authors,citationCount&limit=${SS_SEARCH_MAX}`;
-    if (min_year) url += `&publicationDateOrYear=${min_year}:`;
+    // Search can filter server-side, so year and citation filters apply to the whole result set, not just the top 50
+    let url = `https://api.semanticscholar.org/graph/v1/paper/search?query=${encodeURIComponent(query)}&fields=${PAPER_FIELDS}&limit=${SS_SEARCH_MAX}`;
+    url += this.yearRangeParam(filters);
+    if (filters.min_citations) url += `&minCitationCount=${filters.min_citations}`;
     const resp = await this.throttledSemanticScholarCall({ url, method: 'GET' }, `search: ${query}`);
-    const papers = (resp.data.data || []).filter(p => p && p.paperId).slice(0, requested);
+    const papers = this.applyPaperFilters((resp.data.data || []).filter(p => p && p.paperId), filters).slice(0, requested);
     for (const p of papers) this.paperStore.set(p.paperId, p);
-    return await this.filterWithReader(papers, focus, `search results for "${query}"`);
+    return await this.filterWithReader(papers, focus, `search results for "${query}"${this.filterLabel(filters)}`);
   }
 
-  async toolGetCitations({ paper_id, focus, limit }) {
-    const SS_CITATIONS_MAX = 200; // always fetch max so the URL is stable across runs → cache hits
+  async toolGetCitations({ paper_id, focus, limit, offset, ...filters }) {
+    offset = this.listOffset(offset);
+    // Read before the first await: whether a concurrent call of the same turn has added the paper by the end
+    // depends on timing, and the label is part of the reader prompt, so replays would diverge
+    const sourcePaper = this.paperStore.get(paper_id);
     const requested = Math.min(limit || 50, SS_CITATIONS_MAX);
-    const resp = await this.throttledSemanticScholarCall({
-      url: `https://api.semanticscholar.org/graph/v1/paper/${paper_id}/citations?fields=paperId,title,abstract,year,publicationDate,authors,citationCount&limit=${SS_CITATIONS_MAX}`,
-      method: 'GET'
-    }, `citations: ${paper_id.substring(0, 12)}...`);
-    const papers = (resp.data.data || []).map(c => c.citingPaper).filter(p => p && p.paperId).slice(0, requested);
+    const scan = this.hasPaperFilters(filters) ? SS_CITATIONS_MAX : requested;
+    const list = await this.fetchPaginated(o => this.citationsRequest(paper_id, o), SS_CITATIONS_MAX, this.windowStart(offset, scan, filters), scan, `citations: ${paper_id.substring(0, 12)}...`);
+    if (!list) return { error: `Paper ${paper_id} not found on Semantic Scholar.` };
+    for (const page of list.pages) this.recordCitationEdges(paper_id, page, 'citations');
+    const entries = list.entries.filter(c => c.citingPaper?.paperId);
+    const { matched, papers, nextOffset } = this.pickPage(list, offset, requested, filters, c => c.citingPaper);
     for (const p of papers) this.paperStore.set(p.paperId, p);
-    const sourcePaper = this.paperStore.get(paper_id);
     const sourceTitle = sourcePaper?.title || paper_id;
-    return await this.filterWithReader(papers, focus, `citations of "${sourceTitle}"`);
+    const edges = new Map(entries.map(c => [c.citingPaper.paperId, c]));
+    const page = this.pageInfo(offset, nextOffset, list, sourcePaper?.citationCount);
+    const filtered = await this.filterWithReader(papers, focus, `citations of "${sourceTitle}"${this.pageLabel(page, list)}${this.filterLabel(filters, matched.length, list.entries.length)}`, edges);
+    return { ...filtered, ...page };
   }
 
-  async toolGetReferences({ paper_id, focus, limit }) {
-    const SS_REFERENCES_MAX = 100; // always fetch max so the URL is stable across runs → cache hits
+  async toolGetReferences({ paper_id, focus, limit, offset, ...filters }) {
+    offset = this.listOffset(offset);
+    // Before the first await, as in toolGetCitations
+    const sourcePaper = this.paperStore.get(paper_id);
     const requested = Math.min(limit || 50, SS_REFERENCES_MAX);
-    const resp = await this.throttledSemanticScholarCall({
-      url: `https://api.semanticscholar.org/graph/v1/paper/${paper_id}/references?fields=paperId,title,abstract,year,publicationDate,authors,citationCount&limit=${SS_REFERENCES_MAX}`,
-      method: 'GET'
-    }, `references: ${paper_id.substring(0, 12)}...`);
-    const papers = (resp.data.data || []).map(r => r.citedPaper).filter(p => p && p.paperId).slice(0, requested);
+    const scan = this.hasPaperFilters(filters) ? SS_REFERENCES_MAX : requested;
+    const list = await this.fetchPaginated(o => this.referencesRequest(paper_id, o), SS_REFERENCES_MAX, this.windowStart(offset, scan, filters), scan, `references: ${paper_id.substring(0, 12)}...`);
+    if (!list) return { error: `Paper ${paper_id} not found on Semantic Scholar.` };
+    for (const page of list.pages) this.recordCitationEdges(paper_id, page, 'references');
+    const entries = list.entries.filter(r => r.citedPaper?.paperId);
+    const { matched, papers, nextOffset } = this.pickPage(list, offset, requested, filters, r => r.citedPaper);
     for (const p of papers) this.paperStore.set(p.paperId, p);
-    const sourcePaper = this.paperStore.get(paper_id);
     const sourceTitle = sourcePaper?.title || paper_id;
-    return await this.filterWithReader(papers, focus, `references of "${sourceTitle}"`);
+    const edges = new Map(entries.map(r => [r.citedPaper.paperId, r]));
+    const page = this.pageInfo(offset, nextOffset, list);
+    const filtered = await this.filterWithReader(papers, focus, `references of "${sourceTitle}"${this.pageLabel(page, list)}${this.filterLabel(filters, matched.length, list.entries.length)}`, edges);
+    return { ...filtered, ...page };
+  }
+
+  async toolGetCitationContext({ citing_id, cited_id }) {
+    const find = (data, key, id) => (data?.data || []).find(e => e[key]?.paperId === id);
+    // Free if the agent already pulled the cited paper's citations; otherwise the citing paper's reference list
+    let entry = find(await this.ssCachePeek(this.citationsRequest(cited_id)), 'citingPaper', citing_id);
+    let citing = entry?.citingPaper;
+    let cited = this.paperStore.get(cited_id);
+    if (!entry) {
+      const resp = await this.throttledSemanticScholarCall(this.referencesRequest(citing_id), `references: ${citing_id.substring(0, 12)}...`);
+      if (!resp.data) return { error: `Paper ${citing_id} not found on Semantic Scholar.` };
+      this.recordCitationEdges(citing_id, resp.data, 'references');
+      entry = find(resp.data, 'citedPaper', cited_id);
+      citing = this.paperStore.get(citing_id);
+      cited = entry?.citedPaper || cited;
+    }
+    if (!entry) {
+      return { error: `No citation from ${citing_id} to ${cited_id} in the citing paper's first ${SS_REFERENCES_MAX} references. Check the direction: citing_id is the newer paper that cites cited_id.` };
+    }
+    this.citationEdges.add(`${cited_id}>${citing_id}`);
+    const label = (p, id) => ({ id, title: p?.title || null, year: p?.year || null });
+    const result = {
+      citing: label(citing, citing_id),
+      cited: label(cited, cited_id),
+      intents: entry.intents || [],
+      isInfluential: !!entry.isInfluential,
+      contexts: entry.contexts || []
+    };
+    this.logger.log(fmt(C.cyan, `  [citation context] "${result.citing.title || citing_id}" → "${result.cited.title || cited_id}"`)
+      + fmt(C.dim, `  intents:[${result.intents.join(', ')}]${result.isInfluential ? ' influential' : ''}  ${result.contexts.length} context(s)`));
+    return result;
   }
 
-  async toolGetRecommendations({ paper_id, focus, limit }) {
+  async toolGetRecommendations({ paper_id, focus, limit, ...filters }) {
+    // Before the first await, as in toolGetCitations
+    const sourcePaper = this.paperStore.get(paper_id);
     const SS_RECOMMENDATIONS_MAX = 100; // always fetch max so the URL is stable across runs → cache hits
     const requested = Math.min(limit || 50, SS_RECOMMENDATIONS_MAX);
     const resp = await this.throttledSemanticScholarCall({
-      url: `https://api.semanticscholar.org/recommendations/v1/papers?fields=paperId,title,abstract,year,publicationDate,authors,citationCount&limit=${SS_RECOMMENDATIONS_MAX}`,
+      url: `https://api.semanticscholar.org/recommendations/v1/papers?fields=${PAPER_FIELDS}&limit=${SS_RECOMMENDATIONS_MAX}`,
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: { positivePaperIds: [paper_id] }
     }, `recommendations: ${paper_id.substring(0, 12)}...`);
-    const papers = (resp.data.recommendedPapers || []).filter(p => p && p.paperId).slice(0, requested);
+    const recommended = (resp.data.recommendedPapers || []).filter(p => p && p.paperId);
+    const matched = this.applyPaperFilters(recommended, filters);
+    const papers = matched.slice(0, requested);
     for (const p of papers) this.paperStore.set(p.paperId, p);
-    const sourcePaper = this.paperStore.get(paper_id);
     const sourceTitle = sourcePaper?.title || paper_id;
-    return await this.filterWithReader(papers, focus, `recommendations for "${sourceTitle}"`);
+    return await this.filterWithReader(papers, focus, `recommendations for "${sourceTitle}"${this.filterLabel(filters, matched.length, recommended.length)}`);
   }
 
   async toolSearchAuthors({ query }) {
@@ -795,7 +1197,8 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     return { authors };
   }
 
-  async toolGetAuthorPapers({ author_id, focus, min_year }) {
+  async toolGetAuthorPapers({ author_id, focus, limit, offset, ...filters }) {
+    offset = this.listOffset(offset);
     const infoResp = await this.throttledSemanticScholarCall({
       url: `https://api.semanticscholar.org/graph/v1/author/${author_id}?fields=name,paperCount,hIndex`,
       method: 'GET'
@@ -807,19 +1210,154 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
 
     this.logger.log(fmt(C.cyan, `  [author] ${authorName}`) + fmt(C.dim, `  h-index:${authorHIndex}  papers:${authorPaperCount}  id:${author_id}`));
 
-    let url = `https://api.semanticscholar.org/graph/v1/author/${author_id}/papers?fields=paperId,title,abstract,year,publicationDate,authors,citationCount&limit=50`;
-    if (min_year) url += `&publicationDateOrYear=${min_year}:`;
-    const papersResp = await this.throttledSemanticScholarCall({ url, method: 'GET' }, `author papers: ${authorName}`);
-    const papers = (papersResp.data.data || []).filter(p => p && p.paperId);
+    const requested = Math.min(limit || 50, SS_AUTHOR_PAPERS_MAX);
+    const requestAt = (o) => {
+      let url = `https://api.semanticscholar.org/graph/v1/author/${author_id}/papers?fields=${PAPER_FIELDS}&limit=${SS_AUTHOR_PAPERS_MAX}`;
+      if (o > 0) url += `&offset=${o}`;
+      return { url: url + this.yearRangeParam(filters), method: 'GET' };
+    };
+    // S2 returns an author's papers in no useful order — to sort, scan several pages; to filter, a whole page
+    const scan = this.isSorted(filters) ? SS_AUTHOR_PAPERS_SORT_SCAN : this.hasPaperFilters(filters) ? SS_AUTHOR_PAPERS_MAX : requested;
+    const start = this.windowStart(offset, scan, filters);
+    const list = await this.fetchPaginated(requestAt, SS_AUTHOR_PAPERS_MAX, start, scan, `author papers: ${authorName}`)
+      || { entries: [], pages: [], start, end: start };
+    const fetched = list.entries.filter(p => p && p.paperId);
+    const { matched, papers, nextOffset } = this.pickPage(list, offset, requested, filters, p => p);
     for (const p of papers) this.paperStore.set(p.paperId, p);
 
-    const filtered = await this.filterWithReader(papers, focus, `papers by ${authorName}`);
+    // paperCount covers all years, so it is only a total when no year filter applies
+    const page = this.pageInfo(offset, nextOffset, list, filters.min_year || filters.max_year ? null : authorPaperCount);
+    const filtered = await this.filterWithReader(papers, focus, `papers by ${authorName}${this.pageLabel(page, list)}${this.filterLabel(filters, matched.length, fetched.length)}`);
     return {
       author: { name: authorName, authorId: author_id, hIndex: authorHIndex, paperCount: authorPaperCount },
-      ...filtered
+      ...filtered,
+      ...page
     };
   }
 
+  hasPaperFilters({ min_year, max_year, min_citations, sort } = {}) {
+    return !!(min_year || max_year || min_citations || this.isSorted({ sort }));
+  }
+
+  isSorted({ sort } = {}) {
+    return !!sort && sort !== 'relevance';
+  }
+
+  // First list position to fetch. A sorted window is ranked as one block of `scan` papers, aligned so that
+  // every offset inside it maps back to the same block; filtered or plain windows start at the offset itself.
+  windowStart(offset, scan, filters) {
+    return this.isSorted(filters) ? offset - (offset % scan) : offset;
+  }
+
+  // Filters/sorts a fetched window and picks up to `requested` papers, keeping every match reachable by paging:
+  // a filtered window resumes just after the last paper returned; in a sorted window offset − start is the rank
+  // to resume from. → { matched, papers, nextOffset }
+  pickPage(list, offset, requested, filters, toPaper) {
+    const positions = new Map();
+    list.entries.forEach((e, i) => {
+      const p = toPaper(e);
+      if (p?.paperId) positions.set(p, list.start + i);
+    });
+    const matched = this.applyPaperFilters([...positions.keys()], filters);
+    const windowEnd = list.start + list.entries.length;
+    if (this.isSorted(filters)) {
+      const rank = offset - list.start;
+      const papers = matched.slice(rank, rank + requested);
+      return { matched, papers, nextOffset: rank + papers.length < matched.length ? offset + papers.length : windowEnd };
+    }
+    const papers = matched.slice(0, requested);
+    return { matched, papers, nextOffset: papers.length < matched.length ? positions.get(papers[papers.length - 1]) + 1 : windowEnd };
+  }
+
+  // Year / citation-count filters and sort order of the discovery tools
+  applyPaperFilters(papers, { min_year, max_year, min_citations, sort } = {}) {
+    const kept = papers.filter(p =>
+      (!min_year || (p.year && p.year >= min_year)) &&
+      (!max_year || (p.year && p.year <= max_year)) &&
+      (!min_citations || (p.citationCount || 0) >= min_citations));
+    const date = (p) => p.publicationDate || (p.year ? String(p.year) : '');
+    if (sort === 'newest') kept.sort((a, b) => date(b).localeCompare(date(a)));
+    else if (sort === 'oldest') kept.sort((a, b) => (date(a) || '9999').localeCompare(date(b) || '9999'));
+    else if (sort === 'citations') kept.sort((a, b) => (b.citationCount || 0) - (a.citationCount || 0));
+    return kept;
+  }
+
+  // "&publicationDateOrYear=2020:2023" for endpoints that filter by year server-side ("2020:" as before when open-ended)
+  yearRangeParam({ min_year, max_year } = {}) {
+    return min_year || max_year ? `&publicationDateOrYear=${min_year || ''}:${max_year || ''}` : '';
+  }
+
+  // ", 2020–2023, ≥50 citations, newest first — 37 of 200 match" for the reader's source line (shown before the limit applies)
+  filterLabel({ min_year, max_year, min_citations, sort } = {}, matched = null, scanned = null) {
+    const parts = [];
+    if (min_year || max_year) parts.push(min_year === max_year ? `${min_year}` : `${min_year || ''}–${max_year || ''}`);
+    if (min_citations) parts.push(`≥${min_citations} citations`);
+    if (sort && sort !== 'relevance') parts.push(sort === 'citations' ? 'most cited first' : `${sort} first`);
+    if (parts.length === 0) return '';
+    const filtering = min_year || max_year || min_citations;
+    return `, ${parts.join(', ')}${filtering && matched != null && scanned != null ? ` — ${matched} of ${scanned} match` : ''}`;
+  }
+
+  // Shared by the tools and lineage lookups so both hit the same cache entries.
+  // The first page has no offset parameter, so its URL (and cache key) is the same as before pagination.
+  citationsRequest(paper_id, offset = 0) {
+    return { url: `https://api.semanticscholar.org/graph/v1/paper/${paper_id}/citations?fields=${CITATION_EDGE_FIELDS},${PAPER_FIELDS}&limit=${SS_CITATIONS_MAX}${offset > 0 ? `&offset=${offset}` : ''}`, method: 'GET' };
+  }
+
+  referencesRequest(paper_id, offset = 0) {
+    return { url: `https://api.semanticscholar.org/graph/v1/paper/${paper_id}/references?fields=${CITATION_EDGE_FIELDS},${PAPER_FIELDS}&limit=${SS_REFERENCES_MAX}${offset > 0 ? `&offset=${offset}` : ''}`, method: 'GET' };
+  }
+
+  // The agent's offset as a list position: an integer ≥ 0 (missing, negative or non-numeric → 0)
+  listOffset(offset) {
+    const n = Math.floor(Number(offset));
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  }
+
+  // Entries [offset, offset + count) of a paginated SS list. Always fetches whole pages of pageSize at
+  // multiples of pageSize, so each page keeps one cache key whatever window the agent asks for.
+  // → { entries, pages (raw responses), start (= offset), end (list length, once the last page has been seen) }, or null on 404
+  async fetchPaginated(requestAt, pageSize, offset, count, context) {
+    const entries = [];
+    const pages = [];
+    let pageOffset = offset - (offset % pageSize);
+    let end = null;
+    while (entries.length < count) {
+      const resp = await this.throttledSemanticScholarCall(requestAt(pageOffset), pageOffset > 0 ? `${context} (offset ${pageOffset})` : context);
+      if (!resp.data) {
+        if (pages.length === 0) return null;
+        break;
+      }
+      pages.push(resp.data);
+      const data = resp.data.data || [];
+      entries.push(...data.slice(offset + entries.length - pageOffset, offset + count - pageOffset));
+      if (resp.data.next == null || data.length === 0) {
+        end = pageOffset + data.length;
+        break;
+      }
+      pageOffset += pageSize;
+    }
+    return { entries, pages, start: offset, end };
+  }
+
+  // Paging fields reported back to the agent. knownTotal (e.g. citationCount) stands in until the end is seen.
+  pageInfo(offset, nextOffset, list, knownTotal = null) {
+    const hasMore = list.end === null || nextOffset < list.end;
+    return {
+      offset,
+      total: list.end ?? knownTotal ?? null,
+      has_more: hasMore,
+      ...(hasMore && { next_offset: nextOffset })
+    };
+  }
+
+  // " (results 201–400 of 1662)" for the reader's source line; empty for a first page that holds everything
+  pageLabel(page, list) {
+    if (!list || (list.start === 0 && !page.has_more)) return '';
+    const shown = list.entries.length > 0 ? `${list.start + 1}–${list.start + list.entries.length}` : `none from ${list.start + 1}`;
+    return ` (results ${shown}${page.total != null ? ` of ${page.total}` : ''})`;
+  }
+
   toolCreateTrack({ theme }) {
     const track = {
       id: this.generateThreadId(),
@@ -831,6 +1369,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     };
     this.threads.push(track);
     this.logger.log(fmt(C.bold + C.bmagenta, `  [track ${this.threads.length - 1}] "${theme}"`));
+    this.emitEvent('track:created', { trackIndex: this.threads.length - 1, trackId: track.id, theme });
     return {
       track_created: true,
       track_index: this.threads.length - 1,
@@ -870,6 +1409,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
 
     const authors = (paper.authors || []).slice(0, 5).map(a => a.name).join(', ');
     this.addPaperCallCount++;
+    this.emitEvent('paper:added', { trackIndex: track_index, trackId: track.id, theme: track.theme, paper, reason, trackSize: track.papers.length });
     return {
       added: true,
       track: track.theme,
@@ -903,6 +1443,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     const oldTheme = this.threads[track_index].theme;
     this.threads[track_index].theme = theme;
     this.logger.log(fmt(C.bold + C.bmagenta, `│   ✎ [track ${track_index}] renamed: "${theme}"`));
+    this.emitEvent('track:renamed', { trackIndex: track_index, trackId: this.threads[track_index].id, oldTheme, theme });
     return { renamed: true, track_index, old_theme: oldTheme, new_theme: theme };
   }
 
@@ -918,6 +1459,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     }
     this.threads.splice(track_index, 1);
     this.logger.log(fmt(C.bold + C.bred, `│   ✗ [track ${track_index}] deleted: "${track.theme}" (${track.papers.length} papers returned to pool)`));
+    this.emitEvent('track:deleted', { trackIndex: track_index, trackId: track.id, theme: track.theme, papersReturned: track.papers.map(p => p.paperId) });
     return { deleted: true, theme: track.theme, papers_returned: track.papers.length, remaining_tracks: this.threads.length };
   }
 
@@ -936,6 +1478,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
       this.processedPapers.delete(paper.title);
       removed.push(paper.title);
       this.logger.log(fmt(C.dim, `│   - [track ${track_index}] removed: "${paper.title}"`));
+      this.emitEvent('paper:removed', { trackIndex: track_index, trackId: track.id, theme: track.theme, paper, trackSize: track.papers.length });
     }
     return { removed, not_found: notFound, track_size: track.papers.length };
   }
@@ -949,6 +1492,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
   toolAppendToPrimer({ content }) {
     this.primer = this.primer ? `${this.primer}\n\n${content}` : content;
     this.logger.log(fmt(C.bold + C.bwhite, `│ [primer +] `) + fmt(C.white, content.split('\n')[0].substring(0, 80)));
+    this.emitEvent('primer:changed', { action: 'append', content, primer: this.primer });
     return { appended: true, primer_length: this.primer.length };
   }
 
@@ -958,6 +1502,7 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
     }
     this.primer = this.primer.replace(old_text, new_text);
     this.logger.log(fmt(C.bold + C.bwhite, `│ [primer ~] `) + fmt(C.white, new_text.split('\n')[0].substring(0, 80)));
+    this.emitEvent('primer:changed', { action: 'update', oldText: old_text, content: new_text, primer: this.primer });
     return { updated: true, primer_length: this.primer.length };
   }
 
@@ -968,20 +1513,14 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
 
   async assessCriteriaComplexity(criteria) {
     try {
-      const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${this.openRouterApiKey}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: 'deepseek/deepseek-v4-flash',
-          messages: [
-            { role: 'user', content: `Rate the exploration complexity of this research interest on a scale of 1–5:\n1 = narrow (one topic, one lineage, few papers expected)\n5 = broad (multiple distinct lab lineages, wide temporal scope, many interacting subfields)\n\nRespond with valid JSON only: { "rationale": "...", "number": <1-5> }\n\nResearch interest:\n${criteria}` }
-          ],
-          max_tokens: 1024,
-          reasoning: { enabled: true }
-        })
+      const response = await this.llmRequest('complexity', {
+        messages: [
+          { role: 'user', content: `Rate the exploration complexity of this research interest on a scale of 1–5:\n1 = narrow (one topic, one lineage, few papers expected)\n5 = broad (multiple distinct lab lineages, wide temporal scope, many interacting subfields)\n\nRespond with valid JSON only: { "rationale": "...", "number": <1-5> }\n\nResearch interest:\n${criteria}` }
+        ],
+        max_tokens: 1024
       });
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const data = await response.json();
+      const data = response.data;
       const raw = (data.choices?.[0]?.message?.content || '').trim();
       const parsed = JSON.parse(raw);
       const complexity = Math.min(5, Math.max(1, parseInt(parsed.number, 10) || 3));
@@ -996,16 +1535,19 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
   }
 
   toolDone({ summary }) {
-    if (this.currentIteration < this.minIterations) {
+    // Running out of budget overrides the minimum
+    if (this.currentIteration < this.minIterations && !this.budgetWindDown) {
       const remaining = this.minIterations - this.currentIteration;
       this.logger.log(fmt(C.yellow, `  [done blocked] iteration ${this.currentIteration}/${this.minIterations}`));
       return { error: `Too early to stop. You are on iteration ${this.currentIteration} but must complete at least ${this.minIterations} iterations (${remaining} more to go). Call audit_relevance_to_user_interest first to take stock of what you have, what's missing, and where to go next — then continue exploring.` };
     }
     this.logger.log(fmt(C.bold + C.bgreen, `  [done] ${summary}`));
+    this.emitEvent('done', { summary });
     return { done: true, summary };
   }
 
-  formatPapersForLLM(papers) {
+  // edges: optional Map paperId → citations / references entry; adds how that paper relates to the source paper
+  formatPapersForLLM(papers, edges = null) {
     return papers.map(p => ({
       id: p.paperId,
       title: p.title,
@@ -1017,15 +1559,25 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
           .map(a => [a.name, a.authorId])
       ),
       citations: p.citationCount || 0,
-      abstract: p.abstract || ''
+      abstract: p.abstract || '',
+      ...(edges && this.citationEdgeSummary(edges.get(p.paperId)))
     }));
   }
 
+  // { citation: { intents, influential, contexts } } for a citations / references entry, or null if SS has nothing on the edge
+  citationEdgeSummary(entry) {
+    if (!entry) return null;
+    const intents = entry.intents || [];
+    const contexts = (entry.contexts || []).slice(0, 1).map(c => c.length > CITATION_CONTEXT_MAX ? c.slice(0, CITATION_CONTEXT_MAX) + '…' : c);
+    if (intents.length === 0 && contexts.length === 0 && !entry.isInfluential) return null;
+    return { citation: { intents, influential: !!entry.isInfluential, contexts } };
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // Reader Model — filters raw SS API results before main agent sees them
   // ═══════════════════════════════════════════════════════════════════
 
-  async filterWithReader(papers, focus, source) {
+  async filterWithReader(papers, focus, source, edges = null) {
     if (papers.length === 0) return { papers: [], source, total_raw: 0 };
 
     const criteria = (this.clusteringCriteria && this.clusteringCriteria.trim())
@@ -1036,11 +1588,24 @@ Tool calls that return papers will show you paper IDs and author IDs. You need p
       ? this.threads.map((t, i) => `  Track ${i}: "${t.theme}" (${t.papers.length} papers)`).join('\n')
       : '  (no tracks created yet)';
 
-    const rawPapers = this.formatPapersForLLM(papers);
+    const rawPapers = this.formatPapersForLLM(papers, edges);
+    const cacheKey = this.readerCache ? await this.readerCacheKey(focus) : null;
+    const cached = cacheKey ? await this.readerCacheGet(cacheKey) : null;
+    const cachedVerdicts = cached ? rawPapers.filter(p => cached.verdicts[p.id]).map(p => ({ ...p, ...cached.verdicts[p.id] })) : [];
+    const unread = cached ? rawPapers.filter(p => !cached.verdicts[p.id]) : rawPapers;
+    if (cachedVerdicts.length > 0) {
+      this.timeStats.readerCacheHits += cachedVerdicts.length;
+      this.logger.log(fmt(C.bold + C.brown, `  [Reader: cache]`) + fmt(C.dim, ` ${cachedVerdicts.length} of ${rawPapers.length} verdicts cached${unread.length > 0 ? ` — reading ${unread.length}` : ''}`));
+    }
+    if (unread.length === 0) return this.readerResult(rawPapers, cachedVerdicts, cached.summaries[await this.readerListKey(rawPapers)] || `All ${rawPapers.length} papers were judged for this focus before; verdicts reused from the reader cache.`, source, focus, cachedVerdicts.length);
+
+    const edgeSection = unread.some(p => p.citation)
+      ? `\nCITATION EDGES: Papers with a "citation" field show how they relate to the source paper — Semantic Scholar's citation intents (background, methodology, result), whether the citation is influential (the cited work substantially shaped the citing one), and the first sentence in which the citation appears. A methodology intent or influential flag suggests the work builds directly on its predecessor; a lone background mention in related work is a weaker link. Say which it is in your note when it matters for the focus.\n`
+      : '';
 
     const primerSection = this.primer ? `\nRESEARCH PRIMER (agent's accumulated understanding of the field — use this to help you judge relevance across terminology differences):\n${this.primer}\n` : '';
 
-    const today = new Date().toISOString().slice(0, 10);
+    const today = this.today();
     const readerPrompt = `You are a research paper filter. You receive raw results from a Semantic Scholar API call and must select papers that best match the main agent's focus and the user's criteria.
 
 Be aware that as an LLM, your training cut-off is in the past, and you must be aware of today's date in order to correctly gauge how recent or old research is. Today's date: ${today}
@@ -1057,10 +1622,10 @@ ${trackContext}
 THE MAIN AGENT'S FOCUS FOR THIS CALL:
 ${focus}
 
-SOURCE: ${source} (${rawPapers.length} papers)
-
+SOURCE: ${source} (${unread.length} papers)
+${edgeSection}
 RAW PAPERS:
-${JSON.stringify(rawPapers)}
+${JSON.stringify(unread)}
 
 YOUR TASK:
 1. Select papers that could match the main agent's focus and the user's criteria ("papers")
@@ -1080,74 +1645,135 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
   "summary": "What you found, including any coverage gaps"
 }`;
 
-    this.logger.log(fmt(C.bold + C.brown, `  [Reader: filtering]`) + fmt(C.dim, ` ${source} — ${rawPapers.length} papers`));
+    this.logger.log(fmt(C.bold + C.brown, `  [Reader: filtering]`) + fmt(C.dim, ` ${source} — ${unread.length} papers`));
 
     try {
       const readerResult = await this.callReaderLLM(readerPrompt);
       const parsed = JSON.parse(readerResult);
-      const rawById = Object.fromEntries(rawPapers.map(p => [p.id, p]));
-      const hydrate = (r) => ({ ...rawById[r.id], ...r });
-      const selected = (parsed.papers || []).map(hydrate).filter(p => p.title);
-      const borderline = (parsed.borderline || []).map(hydrate).filter(p => p.title);
-
-      if (selected.length > 0) {
-        this.logger.log(fmt(C.bold + C.brown, `  [Reader: selected]`) + fmt(C.dim, ` ${selected.length} of ${rawPapers.length}`));
-        selected.forEach(p => this.logger.log(fmt(C.brown, `    · "${p.title}" (${p.year})`) + fmt(C.dim, ` [${p.authors || ''}] ${p.citations != null ? p.citations + ' cit. — ' : '— '}${p.note || ''}`)));
-      }
-      if (borderline.length > 0) {
-        this.logger.log(fmt(C.bold + C.brown, `  [Reader: borderline]`) + fmt(C.dim, ` ${borderline.length} of ${rawPapers.length}`));
-        borderline.forEach(p => this.logger.log(fmt(C.dim, `    ~ "${p.title}" (${p.year}) [${p.authors || ''}] ${p.citations != null ? p.citations + ' cit. — ' : '— '}${p.note || ''}`)));
-      }
-      if (selected.length === 0 && borderline.length === 0) {
-        this.logger.log(fmt(C.dim, `  [Reader: selected] 0 of ${rawPapers.length}`));
-      }
-      if (parsed.summary) {
-        this.logger.log(fmt(C.bold + C.brown, `  [Reader: summary]`) + fmt(C.dim, ` ${parsed.summary}`));
-      }
-
-      return {
-        papers: selected,
-        borderline,
-        summary: parsed.summary || '',
-        source,
-        total_raw: rawPapers.length
-      };
+      const rawById = Object.fromEntries(unread.map(p => [p.id, p]));
+      const fresh = [
+        ...(parsed.papers || []).map(r => ({ ...rawById[r.id], ...r, verdict: 'selected' })),
+        ...(parsed.borderline || []).map(r => ({ ...rawById[r.id], ...r, verdict: 'borderline' }))
+      ].filter(p => p.title);
+      const summary = cachedVerdicts.length > 0
+        ? `${parsed.summary || ''} (${cachedVerdicts.length} further papers were judged for this focus before; their verdicts came from the reader cache.)`.trim()
+        : parsed.summary || '';
+      if (cacheKey) await this.readerCacheStore(cacheKey, unread, fresh, await this.readerListKey(rawPapers), summary);
+      return this.readerResult(rawPapers, [...fresh, ...cachedVerdicts], summary, source, focus, cachedVerdicts.length);
     } catch (e) {
-      // If reader fails, return empty rather than flooding the agent with unfiltered results
-      this.logger.warn(fmt(C.yellow, `  [Reader: failed]`) + fmt(C.dim, ` ${e.message} — returning empty`));
-      return { papers: [], borderline: [], source, total_raw: rawPapers.length };
+      // If reader fails, return only what was judged before rather than flooding the agent with unfiltered results
+      this.logger.warn(fmt(C.yellow, `  [Reader: failed]`) + fmt(C.dim, ` ${e.message} — ${cachedVerdicts.length > 0 ? `returning the ${cachedVerdicts.length} cached verdicts` : 'returning empty'}`));
+      if (cachedVerdicts.length === 0) return { papers: [], borderline: [], source, total_raw: rawPapers.length, reader_failed: true };
+      const summary = `The reader failed on ${unread.length} of the ${rawPapers.length} papers; only the ${cachedVerdicts.length} verdicts from the reader cache are shown.`;
+      return { ...this.readerResult(rawPapers, cachedVerdicts, summary, source, focus, cachedVerdicts.length), reader_failed: true };
+    }
+  }
+
+  // Splits verdicts ({ ...paper, verdict, note }) into the reader's result, logs it and emits reader:result
+  readerResult(rawPapers, verdicts, summary, source, focus, cached) {
+    const strip = ({ verdict, ...p }) => p;
+    const selected = verdicts.filter(p => p.verdict === 'selected').map(strip);
+    const borderline = verdicts.filter(p => p.verdict === 'borderline').map(strip);
+    const brief = ({ id, title, year, authors, citations, note }) => ({ id, title, year, authors, citations, note: note || '' });
+    this.emitEvent('reader:result', { source, focus, total: rawPapers.length, cached, selected: selected.map(brief), borderline: borderline.map(brief), summary });
+    this.recordReaderVerdicts(selected.map(brief), borderline.map(brief), source);
+    if (selected.length > 0) {
+      this.logger.log(fmt(C.bold + C.brown, `  [Reader: selected]`) + fmt(C.dim, ` ${selected.length} of ${rawPapers.length}`));
+      selected.forEach(p => this.logger.log(fmt(C.brown, `    · "${p.title}" (${p.year})`) + fmt(C.dim, ` [${p.authors || ''}] ${p.citations != null ? p.citations + ' cit. — ' : '— '}${p.note || ''}`)));
+    }
+    if (borderline.length > 0) {
+      this.logger.log(fmt(C.bold + C.brown, `  [Reader: borderline]`) + fmt(C.dim, ` ${borderline.length} of ${rawPapers.length}`));
+      borderline.forEach(p => this.logger.log(fmt(C.dim, `    ~ "${p.title}" (${p.year}) [${p.authors || ''}] ${p.citations != null ? p.citations + ' cit. — ' : '— '}${p.note || ''}`)));
+    }
+    if (selected.length === 0 && borderline.length === 0) {
+      this.logger.log(fmt(C.dim, `  [Reader: selected] 0 of ${rawPapers.length}`));
+    }
+    if (summary) {
+      this.logger.log(fmt(C.bold + C.brown, `  [Reader: summary]`) + fmt(C.dim, ` ${summary}`));
+    }
+
+    return {
+      papers: selected,
+      borderline,
+      summary,
+      source,
+      total_raw: rawPapers.length
+    };
+  }
+
+  // Exports and evaluation read verdicts from here: compaction clears them from the messages, and a subagent's
+  // never reach them. A paper selected by any call counts as selected, as in run-results.js. Between equal
+  // verdicts the earlier iteration, then the source, wins — not whichever of a turn's concurrent reader calls
+  // returned first — so a replayed run records the same verdicts.
+  recordReaderVerdicts(selected, borderline, source) {
+    if (this.parent) return this.parent.recordReaderVerdicts(selected, borderline, source);
+    const iteration = this.currentIteration || 0;
+    const outranks = (a, b) => (a.verdict !== b.verdict ? a.verdict === 'selected'
+      : a.iteration !== b.iteration ? a.iteration < b.iteration : a.source < b.source);
+    for (const [verdict, papers] of [['selected', selected], ['borderline', borderline]]) {
+      for (const p of papers) {
+        const entry = { ...p, verdict, source, iteration };
+        const existing = this.readerVerdicts.get(p.id);
+        if (!existing || outranks(entry, existing)) this.readerVerdicts.set(p.id, entry);
+      }
     }
   }
 
+  // In paper ID order, so the results file does not depend on when each reader call finished
+  readerVerdictList() {
+    return [...this.readerVerdicts.values()].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  // One cache file per (focus, criteria, primer, reader model): the verdict on every paper read under it,
+  // plus the reader's summary for each exact paper list
+  async readerCacheKey(focus) {
+    const criteria = (this.clusteringCriteria && this.clusteringCriteria.trim()) || '';
+    const primerVersion = await platform.sha256(this.primer || '');
+    return platform.sha256(JSON.stringify({ focus, criteria, primerVersion, model: this.llm.models.reader }));
+  }
+
+  readerListKey(rawPapers) {
+    return platform.sha256(rawPapers.map(p => p.id).sort().join(','));
+  }
+
+  readerCacheGet(key) {
+    return this.readerCache.get(key);
+  }
+
+  // Read-merge-write, queued per key (on the top-level analyzer, so subagents queue too) so concurrent reader
+  // calls under the same focus don't drop each other's verdicts
+  readerCacheStore(key, unread, fresh, listKey, summary) {
+    if (this.parent) return this.parent.readerCacheStore(key, unread, fresh, listKey, summary);
+    const write = (this.readerCacheWrites.get(key) || Promise.resolve()).then(async () => {
+      const entry = (await this.readerCache.get(key)) || { verdicts: {}, summaries: {} };
+      const judged = new Map(fresh.map(p => [p.id, { verdict: p.verdict, note: p.note || '' }]));
+      for (const p of unread) entry.verdicts[p.id] = judged.get(p.id) || { verdict: 'rejected' };
+      entry.summaries[listKey] = summary;
+      await this.readerCache.set(key, entry);
+    }).catch(e => this.logger.warn(fmt(C.yellow, `Reader cache write failed: ${e.message}`)));
+    this.readerCacheWrites.set(key, write);
+    return write;
+  }
+
   async callReaderLLM(prompt) {
     const messages = [{ role: 'user', content: prompt }];
     const start = Date.now();
 
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.openRouterApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'deepseek/deepseek-v4-flash',
-            messages,
-            max_tokens: this.maxCompletionTokens,
-            reasoning: { enabled: true },
-            response_format: { type: 'json_object' }
-          })
+        const response = await this.llmRequest('reader', {
+          messages,
+          max_tokens: this.maxCompletionTokens,
+          response_format: { type: 'json_object' }
         });
 
         if (!response.ok) {
-          const errText = await response.text();
-          this.logger.error(fmt(C.bred, `[reader] HTTP ${response.status}: ${errText.substring(0,200)}`));
+          this.logger.error(fmt(C.bred, `[reader] HTTP ${response.status}: ${response.text.substring(0,200)}`));
           if (attempt < 2) { await this.sleep(2000); continue; }
           throw new Error(`Reader LLM error: ${response.status}`);
         }
 
-        const data = await response.json();
+        const data = response.data;
         const elapsed = Date.now() - start;
         this.timeStats.readerCalls++;
         this.timeStats.readerTimeMs += elapsed;
@@ -1196,34 +1822,206 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
     throw new Error('Reader LLM failed after 3 retries');
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // Subagents — explore runs a child analyzer with its own context window
+  // ═══════════════════════════════════════════════════════════════════
+
+  async toolExplore({ goal, budget, token_budget }, callId = null) {
+    if (this.parent) return { error: 'Subagents cannot explore.' };
+    const maxIterations = Math.min(budget || EXPLORE_DEFAULT_ITERATIONS, EXPLORE_MAX_ITERATIONS);
+    // A subagent may not spend more than is left of the run's token budget. Explores of one turn run concurrently,
+    // so the allowances of those still running are reserved until they return.
+    const reserved = [...this.runningSubagents].reduce((n, c) => n + c.tokenAllowance, 0);
+    const tokensLeft = this.budget.tokens ? Math.max(0, this.budget.tokens - this.budgetUsage().tokens - reserved) : Infinity;
+    const tokenBudget = Math.min(token_budget || EXPLORE_DEFAULT_TOKENS, tokensLeft);
+    if (tokenBudget <= 0) return { error: 'No token budget left to explore: the run\'s token limit is spent or reserved by explores still running.' };
+    const child = new ThroughlineAnalyzer({
+      parent: this,
+      logger: this.logger,
+      llmProvider: this.llm,
+      cassette: this.cassette,
+      today: this.today(),
+      clusteringCriteria: this.clusteringCriteria,
+      maxCompletionTokens: this.maxCompletionTokens,
+      ssCacheEnabled: this.ssCacheEnabled,
+      readerCacheEnabled: this.readerCacheEnabled
+    });
+    child.exploreGoal = goal;
+    child.exploreCallId = callId;
+    child.tokenAllowance = tokenBudget;
+    // Read-only views so the subagent's reader judges relevance against the current tracks and primer
+    child.threads = this.threads;
+    child.primer = this.primer;
+
+    this.logger.log(fmt(C.bold + C.blue, `  [explore] "${goal}"`) + fmt(C.dim, `  budget: ${maxIterations} iterations, ${tokenBudget.toLocaleString()} tokens`));
+    let report;
+    this.runningSubagents.add(child);
+    try {
+      report = await child.runSubagent(goal, { maxIterations, tokenBudget });
+    } finally {
+      this.runningSubagents.delete(child);
+      this.mergeSubagentStats(child);
+    }
+
+    // Register the candidates so the main agent can add them to tracks
+    const papers = [];
+    const unknown = [];
+    for (const { id, note } of report.papers || []) {
+      const paper = child.paperStore.get(id);
+      if (!paper) { unknown.push(id); continue; }
+      this.paperStore.set(id, paper);
+      papers.push({ ...this.formatPapersForLLM([paper])[0], note });
+    }
+    for (const edge of child.citationEdges) this.citationEdges.add(edge);
+    // The subagent's calls count as explored, so the main agent is pointed at them rather than repeating them;
+    // their papers are registered too, since a duplicate-call note lists them
+    for (const entry of child.explorationLedger) {
+      this.explorationLedger.push({ ...entry, iteration: this.currentIteration, via: goal });
+      for (const id of [...entry.paperIds, ...entry.borderlineIds]) {
+        if (!this.paperStore.has(id) && child.paperStore.has(id)) this.paperStore.set(id, child.paperStore.get(id));
+      }
+    }
+
+    this.logger.log(fmt(C.bold + C.blue, `  [explore: report]`) + fmt(C.dim, ` ${papers.length} candidates after ${child.currentIteration} iterations, ${child.tokensUsed().toLocaleString()} tokens`));
+    papers.forEach(p => this.logger.log(fmt(C.blue, `    · "${p.title}" (${p.year})`) + fmt(C.dim, ` ${p.note || ''}`)));
+    if (unknown.length > 0) this.logger.warn(fmt(C.yellow, `  [explore] dropped ${unknown.length} paper IDs the subagent never saw: ${unknown.join(', ')}`));
+
+    return {
+      goal,
+      summary: report.summary,
+      papers,
+      source: `explore: "${goal}"`,
+      iterations: child.currentIteration,
+      tokens: child.tokensUsed(),
+      ...(report.incomplete && { incomplete: true })
+    };
+  }
+
+  // The subagent's own loop: discovery tools, concurrent like the main agent's, until report or budget
+  async runSubagent(goal, { maxIterations, tokenBudget }) {
+    const messages = this.buildSubagentMessages(goal, maxIterations);
+    let report = null;
+    for (let iteration = 1; iteration <= maxIterations && !report; iteration++) {
+      this.currentIteration = iteration;
+      const lastChance = iteration === maxIterations || this.tokensUsed() >= tokenBudget || this.parent.subagentBudgetSpent();
+      if (lastChance && iteration > 1) messages.push({ role: 'user', content: 'Your budget is used up. Call report now with what you have found.' });
+
+      const response = await this.callLLMWithTools(messages);
+      messages.push(response.message);
+      if (response.toolCalls.length === 0) {
+        if (lastChance) break;
+        messages.push({ role: 'user', content: 'Call a tool to keep exploring, or report when you are done.' });
+        continue;
+      }
+
+      const pending = response.toolCalls.map(call => {
+        let args;
+        try { args = JSON.parse(call.function.arguments); } catch (e) {
+          return { call, promise: Promise.resolve({ error: `Bad arguments: ${e.message}` }), logBuf: [] };
+        }
+        const logBuf = [];
+        this.logger.log(fmt(C.blue, `  [explore] ▶ ${call.function.name}`) + fmt(C.dim, ` ${args.rationale || ''}`));
+        return { call, promise: this._logStorage.run(logBuf, () => this.executeTool(call.function.name, args, call.id)), logBuf };
+      });
+      for (const { call, promise, logBuf } of pending) {
+        const result = await promise;
+        logBuf.forEach(fn => fn());
+        if (result.error) this.logger.log(fmt(C.bred, `  [explore]   ✗ ${result.error}`));
+        const toolMsg = { role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) };
+        if (call.thoughtSignature) toolMsg.thoughtSignature = call.thoughtSignature;
+        messages.push(toolMsg);
+        if (result.reported) report = result;
+      }
+      if (lastChance) break;
+    }
+    if (report) return report;
+    const lastText = [...messages].reverse().find(m => m.role === 'assistant' && m.content)?.content;
+    return { summary: lastText || 'The subagent used its budget without reporting.', papers: [], incomplete: true };
+  }
+
+  buildSubagentMessages(goal, maxIterations) {
+    const criteria = (this.clusteringCriteria && this.clusteringCriteria.trim())
+      || 'No additional criteria provided by the user.';
+    const trackContext = this.threads.length > 0
+      ? this.threads.map((t, i) => `  Track ${i}: "${t.theme}" (${t.papers.length} papers)`).join('\n')
+      : '  (no tracks created yet)';
+    const systemPrompt = `You are a research exploration subagent. The main agent is building research tracks for the user and has delegated one focused goal to you. You have your own context window and Semantic Scholar tools; the main agent will only see your final report.
+
+Be aware that as an LLM, your training cut-off is in the past, and you must be aware of today's date in order to correctly gauge how recent or old research is. Today's date: ${this.today()}
+
+USER'S RESEARCH CRITERIA:
+${criteria}
+
+THE MAIN AGENT'S CURRENT TRACKS:
+${trackContext}
+
+YOUR GOAL:
+${goal}
+
+BUDGET: at most ${maxIterations} iterations. Batch independent tool calls in one response.
+
+When you have answered the goal — and before your budget runs out — call report with a distilled summary and the candidate papers the main agent should consider, each with a note on why. Only paper IDs that appeared in your tool results count. A focused list of strong candidates beats an exhaustive dump.`;
+    return [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: 'Begin exploring.' }
+    ];
+  }
+
+  toolReport({ summary, papers }) {
+    return { reported: true, summary: summary || '', papers: Array.isArray(papers) ? papers : [] };
+  }
+
+  tokensUsed() {
+    const ts = this.timeStats;
+    return ts.agentTokensIn + ts.agentTokensOut + ts.readerTokensIn + ts.readerTokensOut;
+  }
+
+  // Fold a subagent's LLM usage into this run's totals (its SS calls already went through this analyzer)
+  mergeSubagentStats(child) {
+    const ts = this.timeStats;
+    const cs = child.timeStats;
+    for (const key of ['agentCalls', 'agentTimeMs', 'agentTokensIn', 'agentTokensOut', 'agentTokensCachedIn', 'readerCalls', 'readerTimeMs', 'readerTokensIn', 'readerTokensOut', 'readerTokensCachedIn', 'readerCacheHits']) ts[key] += cs[key];
+    ts.agentTimings.push(...cs.agentTimings);
+    ts.readerTimings.push(...cs.readerTimings);
+    ts.exploreCalls++;
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // LLM Calling
   // ═══════════════════════════════════════════════════════════════════
 
+  // Single choke point for LLM traffic so the cassette sees every request; keyed on role, not model,
+  // so a recording replays regardless of which models are configured
+  async llmRequest(role, body) {
+    const start = Date.now();
+    const response = this.cassette
+      ? await this.cassette.run(`llm:${role}`, body, () => this.llm.chatCompletion(role, body))
+      : await this.llm.chatCompletion(role, body);
+    const usage = response.data?.usage;
+    this.emitEvent('llm:call', {
+      role,
+      model: this.llm.modelFor(role),
+      status: response.status,
+      tokens: usage ? { in: usage.prompt_tokens || 0, out: usage.completion_tokens || 0, cachedIn: usage.prompt_tokens_details?.cached_tokens || 0 } : null,
+      durationMs: Date.now() - start
+    });
+    return response;
+  }
+
   async callLLMWithTools(messages) {
     if (await this.checkStopped()) throw new Error('Stopped');
     const start = Date.now();
 
     for (let attempt = 0; attempt < 3; attempt++) {
       try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.openRouterApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'google/gemini-3-flash-preview',
-            messages,
-            tools: this.getToolDefinitions(),
-            max_tokens: this.maxCompletionTokens,
-            reasoning: { enabled: true }
-          })
+        const response = await this.llmRequest('agent', {
+          messages,
+          tools: this.getToolDefinitions(),
+          max_tokens: this.maxCompletionTokens
         });
 
         if (!response.ok) {
-          const errText = await response.text();
-          this.logger.error(fmt(C.bred, `[LLM] HTTP ${response.status}: ${errText.substring(0,200)}`));
+          this.logger.error(fmt(C.bred, `[LLM] HTTP ${response.status}: ${response.text.substring(0,200)}`));
           if (attempt < 2) {
             const delay = response.status >= 500 ? 15000 : 3000;
             await this.sleep(delay);
@@ -1232,11 +2030,12 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
           throw new Error(`LLM API error: ${response.status}`);
         }
 
-        const data = await response.json();
+        const data = response.data;
         const elapsed = Date.now() - start;
         this.timeStats.agentCalls++;
         this.timeStats.agentTimeMs += elapsed;
         this.timeStats.agentTimings.push(elapsed);
+        this.lastPromptTokens = data.usage?.prompt_tokens || null;
         if (data.usage) {
           this.timeStats.agentTokensIn += data.usage.prompt_tokens || 0;
           this.timeStats.agentTokensOut += data.usage.completion_tokens || 0;
@@ -1251,6 +2050,9 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
         if (reasoningSummaries.length > 0) {
           this.logger.log(fmt(C.bold + C.bcyan, `│ 💭 [Agent reasoning]`) + fmt(C.dim, ` ${reasoningSummaries.join('\n│   ')}`));
         }
+        if (choice.message.content || reasoningSummaries.length > 0) {
+          this.emitEvent('agent:message', { content: choice.message.content || '', reasoning: reasoningSummaries, toolCalls: (choice.message.tool_calls || []).length });
+        }
         return {
           message: choice.message,
           toolCalls: choice.message.tool_calls || [],
@@ -1269,64 +2071,477 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
   }
 
   // ═══════════════════════════════════════════════════════════════════
-  // SS API Cache & Throttling
+  // Run budgets — token, dollar and wall-clock limits with a wind-down before the hard stop
   // ═══════════════════════════════════════════════════════════════════
 
-  pruneStaleCache() {
-    try {
-      const now = Date.now();
-      let pruned = 0;
-      for (const file of fs.readdirSync(this.ssCacheDir)) {
-        const filePath = pathModule.join(this.ssCacheDir, file);
-        const stat = fs.statSync(filePath);
-        if (now - stat.mtimeMs > this.ssCacheTTL) {
-          fs.unlinkSync(filePath);
-          pruned++;
+  // Spend so far, resumed runs included. cost is null when a model in use has no price
+  budgetUsage() {
+    const ts = this.timeStats;
+    const agentCost = this.llm.costFor('agent', ts.agentTokensIn, ts.agentTokensOut);
+    const readerCost = this.llm.costFor('reader', ts.readerTokensIn, ts.readerTokensOut);
+    return {
+      tokens: ts.agentTokensIn + ts.agentTokensOut + ts.readerTokensIn + ts.readerTokensOut,
+      cost: agentCost == null || readerCost == null ? null : agentCost + readerCost,
+      timeMs: this.elapsedMs()
+    };
+  }
+
+  // Whether this run's spend plus that of every explore still running has reached a token, dollar or time limit.
+  // Subagents ask each iteration, since checkBudget only runs between the main agent's iterations.
+  subagentBudgetSpent() {
+    const usage = this.budgetUsage();
+    let { tokens, cost } = usage;
+    for (const child of this.runningSubagents) {
+      const spent = child.budgetUsage();
+      tokens += spent.tokens;
+      cost = cost == null || spent.cost == null ? null : cost + spent.cost;
+    }
+    return !!((this.budget.tokens && tokens >= this.budget.tokens)
+      || (this.budget.cost && cost != null && cost >= this.budget.cost)
+      || (this.budget.timeMs && usage.timeMs >= this.budget.timeMs));
+  }
+
+  warnUnpricedModels() {
+    if (!this.budget.cost) return;
+    const unpriced = ['agent', 'reader'].map(role => this.llm.modelFor(role)).filter(m => !this.llm.prices[m]);
+    if (unpriced.length > 0) this.logger.warn(fmt(C.yellow, `  [budget] no price for ${[...new Set(unpriced)].join(', ')} — the dollar limit cannot be enforced (add it to modelPrices)`));
+  }
+
+  // Called between iterations. Past BUDGET_WIND_DOWN_AT of a limit, tells the agent to wrap up (once);
+  // at the limit, records which one was hit and returns true so the loop ends with the partial results.
+  checkBudget(messages) {
+    const usage = this.budgetUsage();
+    const limits = [
+      { name: 'token', used: usage.tokens, max: this.budget.tokens, show: (n) => `${Math.round(n).toLocaleString()} tokens` },
+      { name: 'cost', used: usage.cost, max: this.budget.cost, show: (n) => `$${n.toFixed(2)}` },
+      { name: 'time', used: usage.timeMs, max: this.budget.timeMs, show: (n) => `${(n / 60000).toFixed(1)} min` }
+    ].filter(l => l.max && l.used != null);
+    const exceeded = limits.find(l => l.used >= l.max);
+    if (exceeded) {
+      this.budgetStop = exceeded.name;
+      this.logger.warn(fmt(C.bold + C.yellow, `  [budget] ${exceeded.name} limit reached (${exceeded.show(exceeded.used)} of ${exceeded.show(exceeded.max)}) — stopping with the current tracks and primer`));
+      return true;
+    }
+    const nearing = limits.find(l => l.used >= l.max * BUDGET_WIND_DOWN_AT);
+    if (nearing && !this.budgetWindDown) {
+      this.budgetWindDown = true;
+      const left = limits.map(l => `${l.show(Math.max(0, l.max - l.used))} left of ${l.show(l.max)}`).join(', ');
+      this.logger.log(fmt(C.bold + C.yellow, `  [budget] ${nearing.name} budget nearly exhausted (${left}) — asking the agent to wind down`));
+      messages.push({ role: 'user', content: `BUDGET NEARLY EXHAUSTED (${left}). Stop exploring. Consolidate: add any strong candidates you have already found to tracks, remove weak ones, bring the primer up to date, then call done — the minimum iteration count no longer applies. If the budget runs out first, the run stops and keeps whatever the tracks and primer hold at that point.` });
+    }
+    return false;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Context compaction — clears old tool results, keeps an exploration ledger
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Rough prompt size for messages; only used to measure what a compaction saved
+  estimateTokens(messages) {
+    return Math.round(JSON.stringify(messages).length / 4);
+  }
+
+  maybeCompact(messages, iteration) {
+    if (!this.compactionThreshold) return;
+    const promptTokens = this.lastPromptTokens ?? this.estimateTokens(messages);
+    if (promptTokens < this.compactionThreshold) return;
+    // Each compaction rewrites the ledger near the top of the prompt (invalidating prompt caching), so space
+    // them out: the results kept last time must have aged out before there is anything worth clearing
+    const last = this.compactions[this.compactions.length - 1];
+    if (last && iteration - last.iteration < COMPACTION_KEEP_ITERATIONS) return;
+    const tokensBefore = this.estimateTokens(messages);
+    const clearedThrough = iteration - COMPACTION_KEEP_ITERATIONS;
+    const cleared = this.compactMessages(messages, clearedThrough);
+    if (cleared === 0) return;
+    const tokensAfter = this.estimateTokens(messages);
+    this.compactions.push({ iteration, clearedThrough, tokensBefore, tokensAfter });
+    this.logger.log(fmt(C.bold + C.magenta, `  [compaction]`) + fmt(C.dim, ` prompt ${promptTokens.toLocaleString()} tokens ≥ ${this.compactionThreshold.toLocaleString()} — cleared ${cleared} old results, ~${tokensBefore.toLocaleString()} → ~${tokensAfter.toLocaleString()} tokens`));
+  }
+
+  // Clears tool results (and injected track states) older than the last COMPACTION_KEEP_ITERATIONS assistant
+  // turns and rewrites the ledger message to cover the cleared iterations. Returns the number cleared.
+  compactMessages(messages, clearedThrough) {
+    const assistantTurns = messages.map((m, i) => (m.role === 'assistant' ? i : -1)).filter(i => i >= 0);
+    if (assistantTurns.length <= COMPACTION_KEEP_ITERATIONS) return 0;
+    const cutoff = assistantTurns[assistantTurns.length - COMPACTION_KEEP_ITERATIONS];
+
+    let cleared = 0;
+    for (let i = 0; i < cutoff; i++) {
+      const m = messages[i];
+      if (m.role === 'tool' && m.content !== COMPACTED_RESULT) {
+        m.content = COMPACTED_RESULT;
+        cleared++;
+      } else if (m.role === 'user' && typeof m.content === 'string' && m.content.startsWith(TRACK_STATE_PREFIX)) {
+        m.content = 'Earlier track state omitted — call view_tracks for the current state.';
+        cleared++;
+      }
+    }
+    if (cleared === 0) return 0;
+
+    const entries = this.explorationLedger.filter(e => e.iteration <= clearedThrough);
+    const ledger = { role: 'user', content: `${LEDGER_HEADER} — to save context, the results of your tool calls up to iteration ${clearedThrough} were cleared from this conversation (they show as {"compacted":true}). This is what those discovery calls did and which papers they surfaced; the paper IDs still work with add_paper_to_track and the discovery tools. Call view_exploration_history for the full list.\n\n${this.formatLedger(entries)}` };
+    const existing = messages.findIndex(m => m.role === 'user' && typeof m.content === 'string' && m.content.startsWith(LEDGER_HEADER));
+    if (existing >= 0) messages[existing] = ledger;
+    else messages.splice(messages.findIndex(m => m.role === 'user') + 1, 0, ledger);
+    return cleared;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Exploration ledger — every discovery call, so repeats can be pointed at the earlier result
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Identity of a discovery call: tool + arguments, ignoring rationale, focus and limit. Queries compare as
+  // word sets, so "Visual Navigation" and "navigation visual" are the same search.
+  explorationKey(name, args) {
+    const { rationale, focus, limit, refresh, ...rest } = args || {};
+    if (rest.query) rest.query = [...new Set(String(rest.query).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean))].sort().join(' ');
+    if (!rest.offset) delete rest.offset;
+    if (rest.sort === 'relevance') delete rest.sort;
+    return `${name} ${JSON.stringify(Object.keys(rest).sort().map(k => [k, rest[k]]))}`;
+  }
+
+  recordExploration(name, args, result) {
+    if (result.duplicate) return;
+    const target = args.query ? `"${args.query}"`
+      : args.goal ? `"${args.goal}"`
+      : args.citing_id ? `${args.citing_id} → ${args.cited_id}`
+      : args.paper_id || (result.author ? `${result.author.name} (${args.author_id})` : args.author_id);
+    const { rationale, ...callArgs } = args;
+    this.explorationLedger.push({
+      iteration: this.currentIteration || 0,
+      tool: name,
+      key: this.explorationKey(name, args),
+      target,
+      args: callArgs,
+      focus: args.focus || args.goal || null,
+      paperIds: (result.papers || []).map(p => p.id).filter(Boolean),
+      borderlineIds: (result.borderline || []).map(p => p.id).filter(Boolean),
+      authors: (result.authors || []).map(a => `${a.name} (${a.author_id})`),
+      ...(result.intents && { citation: { intents: result.intents, isInfluential: result.isInfluential } }),
+      ...(result.has_more && { nextOffset: result.next_offset }),
+      // A failed reader left papers unread, so the call stays retryable (findEarlierExploration skips it on
+      // purpose). The IDs it did return, from the reader cache, are kept above; a retry reads only the papers
+      // the reader missed, since the cached verdicts are served from the reader cache again.
+      error: result.error || (result.reader_failed ? 'reader failed' : null)
+    });
+  }
+
+  // Earlier successful call with the same identity, if any. Failed calls may be transient, so they can be retried.
+  findEarlierExploration(name, args) {
+    const key = this.explorationKey(name, args);
+    return this.explorationLedger.find(e => e.key === key && !e.error) || null;
+  }
+
+  duplicateExplorationResult(earlier) {
+    const paper = (id) => {
+      const p = this.paperStore.get(id);
+      return { id, title: p?.title || null, year: p?.year || null };
+    };
+    this.logger.log(fmt(C.yellow, `  [duplicate] ${earlier.tool} ${earlier.target}`) + fmt(C.dim, ` — same as iteration ${earlier.iteration}${earlier.via ? ` (explore "${earlier.via}")` : ''}, reader skipped`));
+    return {
+      duplicate: true,
+      note: `You already made this call at iteration ${earlier.iteration}${earlier.via ? ` (inside explore "${earlier.via}")` : ''}; its result is below. Pass refresh: true to run it again (e.g. with a different focus), use offset or filters to see other papers, or call view_exploration_history to see everything explored so far.`,
+      earlier: {
+        iteration: earlier.iteration,
+        tool: earlier.tool,
+        target: earlier.target,
+        focus: earlier.focus,
+        papers: earlier.paperIds.map(paper),
+        borderline: earlier.borderlineIds,
+        ...(earlier.authors.length > 0 && { authors: earlier.authors }),
+        ...(earlier.citation && { citation: earlier.citation }),
+        ...(earlier.nextOffset != null && { next_offset: earlier.nextOffset })
+      }
+    };
+  }
+
+  // One line per ledger entry, with paper titles so the IDs stay usable once results are compacted away
+  formatLedger(entries) {
+    if (entries.length === 0) return '(no discovery calls yet)';
+    const short = (t) => (t && t.length > LEDGER_TITLE_MAX ? t.slice(0, LEDGER_TITLE_MAX) + '…' : t || '');
+    return entries.map(e => {
+      const head = `- [it ${e.iteration}] ${e.tool} ${e.target}${e.via ? ` (explore "${e.via}")` : ''}`;
+      if (e.error) return `${head} → error: ${e.error}`;
+      if (e.authors.length > 0) return `${head} → ${e.authors.join(', ')}`;
+      if (e.citation) return `${head} → intents [${e.citation.intents.join(', ')}]${e.citation.isInfluential ? ', influential' : ''}`;
+      const picks = e.paperIds.map(id => {
+        const p = this.paperStore.get(id);
+        return p ? `${id} "${short(p.title)}" (${p.year})` : id;
+      }).join('; ');
+      const borderline = e.borderlineIds.length > 0 ? ` | borderline: ${e.borderlineIds.join(', ')}` : '';
+      const more = e.nextOffset != null ? ` | more from offset ${e.nextOffset}` : '';
+      return `${head} → ${e.paperIds.length} selected${picks ? `: ${picks}` : ''}${borderline}${more}`;
+    }).join('\n');
+  }
+
+  toolViewExplorationHistory({ tool } = {}) {
+    const entries = tool ? this.explorationLedger.filter(e => e.tool === tool) : this.explorationLedger;
+    this.logger.log(fmt(C.bold + C.bwhite, `│ [exploration history]`) + fmt(C.dim, ` ${entries.length} calls${tool ? ` to ${tool}` : ''}`));
+    return { history: this.formatLedger(entries), calls: entries.length };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Lineage — citation relations between track papers
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Remember who-cites-whom from a citations / references response for paper_id
+  recordCitationEdges(paper_id, data, kind) {
+    for (const entry of data?.data || []) {
+      const other = (kind === 'citations' ? entry.citingPaper : entry.citedPaper)?.paperId;
+      if (!other) continue;
+      this.citationEdges.add(kind === 'citations' ? `${paper_id}>${other}` : `${other}>${paper_id}`);
+    }
+  }
+
+  // Citation relations among the papers in `threads` as [{ source, target }] — target cites source, so edges
+  // run forward in time. Uses relations seen during the run plus each paper's cached citation / reference
+  // lists; with lookup, fetches the reference list of every track paper (cache hits stay free).
+  // `known` adds edges from an earlier computation (e.g. a saved results file).
+  async lineageEdges(threads = this.threads, { lookup = false, known = [] } = {}) {
+    for (const e of known) this.citationEdges.add(`${e.source}>${e.target}`);
+    const ids = new Set(threads.flatMap(t => t.papers.map(p => p.paperId)).filter(Boolean));
+    for (const id of ids) {
+      let references = null;
+      if (lookup) {
+        try {
+          const resp = await this.throttledSemanticScholarCall(this.referencesRequest(id), `lineage references: ${id.substring(0, 12)}...`);
+          references = resp.success ? resp.data : null;
+        } catch (e) {
+          this.logger.warn(fmt(C.yellow, `  [lineage] reference lookup failed for ${id}: ${e.message}`));
         }
+      } else {
+        references = await this.ssCachePeek(this.referencesRequest(id));
+      }
+      this.recordCitationEdges(id, references, 'references');
+      this.recordCitationEdges(id, await this.ssCachePeek(this.citationsRequest(id)), 'citations');
+    }
+    const edges = [];
+    for (const edge of this.citationEdges) {
+      const [source, target] = edge.split('>');
+      if (source !== target && ids.has(source) && ids.has(target)) edges.push({ source, target });
+    }
+    return edges.sort((a, b) => (a.source + a.target).localeCompare(b.source + b.target));
+  }
+
+  // Read-only cache probe. Skipped under a cassette so recorded and replayed runs see the same data.
+  async ssCachePeek(data) {
+    if (this.cassette) return null;
+    return this.ssCacheGet(await this.ssCacheKey(data));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Debug tree — iterations → tool calls → reader verdicts and track/primer edits
+  // ═══════════════════════════════════════════════════════════════════
+
+  // A flat, pre-order list of { type, message, data: { stackDepth, ... } } nodes — the shape the popup's
+  // "Download debug tree" and --debug-tree render (src/debug-tree.js). Built from the analyzer's own events.
+  // Edits are held until their tool call's result, which is when the call's node is written; a subagent's
+  // nodes are held until its explore call returns and nest under it.
+  recordDebugNode(event) {
+    const depthOffset = event.explore ? 1 : 0;
+    const node = (type, message, depth, data = {}) => ({ type, message, data: { stackDepth: depth + depthOffset, ...data } });
+    const target = event.explore ? this.debugExploreNodes(event.explore.callId) : this.debugTree;
+    switch (event.type) {
+      case 'run:start':
+        if (event.resumedFrom) target.push(node('resume', `Resumed after iteration ${event.resumedFrom}`, 1));
+        break;
+      case 'iteration:start':
+        target.push(node('iteration', `Iteration ${event.iteration} (${event.tracks} tracks, ${event.papers} papers)`, 1));
+        break;
+      case 'track:created':
+        this._debugEdits.push(node('track_created', `[${event.trackIndex}] "${event.theme}"`, 3, { trackId: event.trackId }));
+        break;
+      case 'track:renamed':
+        this._debugEdits.push(node('track_renamed', `[${event.trackIndex}] "${event.oldTheme}" → "${event.theme}"`, 3, { trackId: event.trackId }));
+        break;
+      case 'track:deleted':
+        this._debugEdits.push(node('track_deleted', `[${event.trackIndex}] "${event.theme}"`, 3, { trackId: event.trackId, papersReturned: event.papersReturned.length }));
+        break;
+      case 'paper:added':
+      case 'paper:removed': {
+        const p = event.paper;
+        this._debugEdits.push(node(event.type === 'paper:added' ? 'paper_added' : 'paper_removed', `[${event.trackIndex}] "${p.title}" (${p.year || 'n.d.'})`, 3, {
+          paperId: p.paperId,
+          authors: (p.authors || []).slice(0, 3).map(a => a.name).join(', '),
+          ...(event.reason && { reason: event.reason })
+        }));
+        break;
       }
-      if (pruned > 0) this.logger.log(fmt(C.dim, `[cache] Pruned ${pruned} stale entries`));
+      case 'primer:changed':
+        this._debugEdits.push(node(event.action === 'append' ? 'primer_append' : 'primer_update', `${event.content.length} chars, primer now ${event.primer.length}`, 3, {
+          content: event.content,
+          ...(event.oldText && { oldText: event.oldText })
+        }));
+        break;
+      case 'tool:result': {
+        const { tool, args, result } = event;
+        target.push(node(result.duplicate ? 'tool_duplicate' : event.error ? 'tool_error' : 'tool_call', `${tool}(${this.toolArgSummary(args)})`, 2, {
+          ...(args.rationale && { rationale: args.rationale }),
+          ...(args.focus && { focus: args.focus }),
+          ...(event.error && { error: event.error }),
+          ...(result.duplicate && { note: `same as iteration ${result.earlier.iteration}` }),
+          ...(result.skipped && { note: `skipped: ${result.reason}` }),
+          ...(result.summary && { summary: result.summary }),
+          durationMs: event.durationMs
+        }));
+        if (tool === 'explore') {
+          target.push(...(this._debugExplore.get(event.callId) || []));
+          this._debugExplore.delete(event.callId);
+        }
+        const verdict = (kind) => (p) => node(kind, `"${p.title}" (${p.year || 'n.d.'})`, 3, { paperId: p.id, authors: p.authors || '', citations: p.citations ?? null, note: p.note || '' });
+        // Reader results and explore reports carry a source; other tools' papers (report's IDs) are not verdicts
+        if (result.source) {
+          target.push(...(result.papers || []).map(verdict(tool === 'explore' ? 'candidate' : 'selected')));
+          target.push(...(result.borderline || []).map(verdict('borderline')));
+        }
+        if (!event.explore) {
+          target.push(...this._debugEdits);
+          this._debugEdits = [];
+        }
+        break;
+      }
+    }
+  }
+
+  // Keyed by the explore's tool call ID: concurrent explores may share a goal
+  debugExploreNodes(callId) {
+    if (!this._debugExplore.has(callId)) this._debugExplore.set(callId, []);
+    return this._debugExplore.get(callId);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // Checkpointing — snapshot of the full agent state after every iteration
+  // ═══════════════════════════════════════════════════════════════════
+
+  saveCheckpoint(messages, iteration) {
+    if (!this.checkpointPath) return;
+    const checkpoint = {
+      version: 1,
+      savedAt: new Date().toISOString(),
+      iteration,
+      minIterations: this.minIterations,
+      clusteringCriteria: this.clusteringCriteria,
+      seedPapers: this.seedPapers,
+      unresolvedSeeds: this.unresolvedSeeds || [],
+      messages,
+      threads: this.threads,
+      primer: this.primer,
+      processedPapers: [...this.processedPapers],
+      paperStore: [...this.paperStore.entries()],
+      paperIdCache: [...this.paperIdCache.entries()],
+      citationEdges: [...this.citationEdges],
+      explorationLedger: this.explorationLedger,
+      readerVerdicts: this.readerVerdictList(),
+      debugTree: this.debugTree,
+      compactions: this.compactions,
+      addPaperCallCount: this.addPaperCallCount,
+      timeStats: this.timeStats,
+      elapsedMs: this.elapsedMs()
+    };
+    // Write to a temp file and rename so a crash mid-write never leaves a truncated checkpoint
+    const tmpPath = `${this.checkpointPath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(checkpoint));
+      fs.renameSync(tmpPath, this.checkpointPath);
     } catch (e) {
-      this.logger.warn(fmt(C.yellow, `Cache prune failed: ${e.message}`));
+      this.logger.warn(fmt(C.yellow, `Checkpoint write failed: ${e.message}`));
     }
   }
 
-  ssCacheKey(data) {
-    const raw = JSON.stringify({ url: data.url, method: data.method || 'GET', body: data.body || null });
-    return crypto.createHash('sha256').update(raw).digest('hex');
+  restoreCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.version !== 1 || !Array.isArray(checkpoint.messages)) {
+      throw new Error('Invalid or unsupported checkpoint file');
+    }
+    this.clusteringCriteria = checkpoint.clusteringCriteria ?? this.clusteringCriteria;
+    this.seedPapers = checkpoint.seedPapers || [];
+    this.unresolvedSeeds = checkpoint.unresolvedSeeds || [];
+    this.primer = checkpoint.primer || '';
+    this.processedPapers = new Set(checkpoint.processedPapers || []);
+    this.paperStore = new Map(checkpoint.paperStore || []);
+    this.paperIdCache = new Map(checkpoint.paperIdCache || []);
+    this.citationEdges = new Set(checkpoint.citationEdges || []);
+    this.explorationLedger = checkpoint.explorationLedger || [];
+    this.readerVerdicts = new Map((checkpoint.readerVerdicts || []).map(v => [v.id, v]));
+    this.debugTree = checkpoint.debugTree || [];
+    this.compactions = checkpoint.compactions || [];
+    this.addPaperCallCount = checkpoint.addPaperCallCount || 0;
+    this.timeStats = { ...this.timeStats, ...checkpoint.timeStats };
+    this.priorElapsedMs = checkpoint.elapsedMs || 0;
+    // JSON round-trip splits shared paper objects — relink track papers to their paperStore entries
+    const relink = (p) => (p && this.paperStore.get(p.paperId)) || p;
+    this.threads = (checkpoint.threads || []).map(t => ({
+      ...t,
+      spawnPaper: relink(t.spawnPaper),
+      papers: t.papers.map(relink)
+    }));
   }
 
-  ssCacheGet(key) {
-    if (!this.ssCacheEnabled) return null;
-    const filePath = pathModule.join(this.ssCacheDir, `${key}.json`);
+  clearCheckpoint() {
+    if (!this.checkpointPath) return;
     try {
-      const stat = fs.statSync(filePath);
-      if (Date.now() - stat.mtimeMs > this.ssCacheTTL) {
-        fs.unlinkSync(filePath);
-        return null;
-      }
-      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      fs.unlinkSync(this.checkpointPath);
     } catch (e) {
-      return null;
+      if (e.code !== 'ENOENT') this.logger.warn(fmt(C.yellow, `Checkpoint cleanup failed: ${e.message}`));
     }
   }
 
-  ssCacheSet(key, data) {
-    if (!this.ssCacheEnabled) return;
-    const filePath = pathModule.join(this.ssCacheDir, `${key}.json`);
+  static loadCheckpoint(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // SS API Cache & Throttling
+  // ═══════════════════════════════════════════════════════════════════
+
+  // A cache store from the platform (a directory in Node, IndexedDB in the extension), pruned of stale entries
+  openCache(name, dir) {
+    const store = platform.createCacheStore(name, dir);
+    store.prune(this.ssCacheTTL)
+      .then(pruned => { if (pruned > 0) this.logger.log(fmt(C.dim, `[cache] Pruned ${pruned} stale entries`)); })
+      .catch(e => this.logger.warn(fmt(C.yellow, `Cache prune failed: ${e.message}`)));
+    return store;
+  }
+
+  ssCacheKey(data) {
+    return platform.sha256(JSON.stringify({ url: data.url, method: data.method || 'GET', body: data.body || null }));
+  }
+
+  async ssCacheGet(key) {
+    if (!this.ssCache) return null;
+    return this.ssCache.get(key, this.ssCacheTTL);
+  }
+
+  async ssCacheSet(key, data) {
+    if (!this.ssCache) return;
     try {
-      fs.writeFileSync(filePath, JSON.stringify(data));
+      await this.ssCache.set(key, data);
     } catch (e) {
       this.logger.warn(fmt(C.yellow, `Cache write failed: ${e.message}`));
     }
   }
 
   async throttledSemanticScholarCall(data, context = '') {
-    const cacheKey = this.ssCacheKey(data);
-    const cached = this.ssCacheGet(cacheKey);
+    if (this.parent) return this.parent.throttledSemanticScholarCall(data, context);
+    const start = Date.now();
+    let cache = null;
+    const request = async () => {
+      const resp = await this.semanticScholarRequest(data, context);
+      cache = resp.cacheHit ? 'hit' : 'miss';
+      return resp;
+    };
+    if (this.cassette?.replaying) this.logger.log(fmt(C.dim, `  [replay    ] ${context}`));
+    const resp = this.cassette ? await this.cassette.run('semantic_scholar', data, request) : await request();
+    this.emitEvent('ss:request', { context, url: data.url, cache: cache || 'replay', status: resp.status || (resp.success ? 200 : null), durationMs: Date.now() - start });
+    return resp;
+  }
+
+  async semanticScholarRequest(data, context) {
+    const cacheKey = await this.ssCacheKey(data);
+    const cached = await this.ssCacheGet(cacheKey);
     if (cached) {
       this.timeStats.ssCacheHits++;
       this.logger.log(fmt(C.dim, `  [cache hit ] ${context}`));
-      return { success: true, data: cached };
+      return { success: true, data: cached, cacheHit: true };
     }
     this.logger.log(fmt(C.dim, `  [cache miss] ${context}`));
 
@@ -1350,7 +2565,7 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
         this.timeStats.ssTimeMs += ssElapsed;
         this.timeStats.ssTimings.push(ssElapsed);
         const responseData = await response.json();
-        this.ssCacheSet(cacheKey, responseData);
+        await this.ssCacheSet(cacheKey, responseData);
         return { success: true, data: responseData };
       }
 
@@ -1373,15 +2588,46 @@ Respond with valid JSON only — output only the paper id and a brief note, noth
   // Utilities
   // ═══════════════════════════════════════════════════════════════════
 
+  // Structured counterpart of the log, for embedding apps, the extension and tests: emits the event under its
+  // type and as 'event'. A subagent's events are re-emitted by its parent, tagged with the explore goal.
+  emitEvent(type, payload = {}) {
+    if (this.parent) return this.parent.emitEvent(type, { explore: { goal: this.exploreGoal, callId: this.exploreCallId, iteration: this.currentIteration || 0 }, ...payload });
+    const event = { type, iteration: this.currentIteration || 0, ...payload };
+    this.recordDebugNode(event);
+    this.emit(type, event);
+    this.emit('event', event);
+  }
+
+  emitIterationEnd(toolCalls) {
+    this.emitEvent('iteration:end', { toolCalls, tracks: this.threads.length, papers: this.threads.reduce((n, t) => n + t.papers.length, 0) });
+  }
+
+  // Short form of a tool call's target for the log and the debug tree: a query, paper, goal, track...
+  toolArgSummary(args) {
+    return args.paper_id ? `paper:${args.paper_id}`
+      : args.query ? `"${args.query}"`
+      : args.goal ? `"${args.goal}"`
+      : args.citing_id ? `${args.citing_id} → ${args.cited_id}`
+      : args.author_id ? `author_id:${args.author_id}`
+      : args.theme ? `"${args.theme}"`
+      : args.track_index !== undefined ? `track:${args.track_index}`
+      : '';
+  }
+
   updateProgress(message, detail, percent, threads) {
     if (this.progressCallback) this.progressCallback(message, detail, percent, threads || this.threads);
   }
 
-  sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-  generateThreadId() { return 't_' + Math.random().toString(36).substr(2, 9); }
+  elapsedMs() { return this.priorElapsedMs + (this.sessionStartTime ? Date.now() - this.sessionStartTime : 0); }
+  today() { return this.fixedToday || new Date().toISOString().slice(0, 10); }
+  sleep(ms) { return this.cassette?.replaying ? Promise.resolve() : new Promise(r => setTimeout(r, ms)); }
+  generateThreadId() {
+    const generate = () => 't_' + Math.random().toString(36).substr(2, 9);
+    return this.cassette ? this.cassette.runSync('thread_id', null, generate) : generate();
+  }
   getDebugTree() { return this.debugTree; }
-  async checkStopped() { return this.stopped; }
+  async checkStopped() { return this.stopped || !!this.parent?.stopped; }
 }
 
-if (typeof module !== 'undefined') module.exports = { ThroughlineAnalyzer };
+if (typeof module !== 'undefined') module.exports = { ThroughlineAnalyzer, ANALYZER_EVENTS };
 if (typeof window !== 'undefined') window.ThroughlineAnalyzer = ThroughlineAnalyzer;